@@ -44,6 +44,9 @@ const auth = async (req, res, next) => {
       });
     }
     
+    // Resolve the permissions of the user's role once per request
+    await user.loadPermissions();
+
     // Add user to request object
     req.user = user;
     next();
@@ -72,18 +75,44 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const adminAuth = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Middleware to check if the user's role grants a permission (see utils/permissions)
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user && req.user.can(permission)) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: `Access denied. The ${permission} permission is required.`
     });
   }
 };
 
+// Actions unverified users may not perform (comma separated, e.g. "publish,comment")
+const unverifiedRestrictions = () => {
+  return (process.env.UNVERIFIED_USER_RESTRICTIONS ?? 'publish,comment')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+// Middleware to block restricted actions until the user's email is verified.
+// An optional predicate limits the check to matching requests.
+const requireVerifiedEmail = (action, appliesTo = () => true) => (req, res, next) => {
+  if (
+    req.user.isEmailVerified ||
+    !unverifiedRestrictions().includes(action) ||
+    !appliesTo(req)
+  ) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to do this',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
 // Optional auth middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -97,6 +126,7 @@ const optionalAuth = async (req, res, next) => {
         const user = await User.findById(decoded.id).select('-password -refreshTokens');
         
         if (user && user.isActive) {
+          await user.loadPermissions();
           req.user = user;
         }
       }
@@ -166,7 +196,8 @@ const verifyRefreshToken = async (req, res, next) => {
 
 module.exports = {
   auth,
-  adminAuth,
+  requirePermission,
+  requireVerifiedEmail,
   optionalAuth,
   verifyRefreshToken
 };
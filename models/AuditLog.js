@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Entries are removed automatically this long after they were recorded
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout_all',
+  'auth.password_change',
+  'auth.password_reset',
+  'user.status',
+  'user.role',
+  'blog.delete',
+  'blog.restore',
+  'blog.purge',
+  'blog.feature',
+  'role.create',
+  'role.update',
+  'role.delete'
+];
+
+const expiryDate = () => new Date(Date.now() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const auditLogSchema = new mongoose.Schema({
+  // Null when nobody is signed in (e.g. a failed login)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so entries stay readable after the actor is renamed or deleted
+  actorName: {
+    type: String,
+    default: ''
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Blog', 'Role', null],
+    default: null
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    default: null
+  },
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Extra context, e.g. the email tried in a failed login
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: expiryDate
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The log is append-only: entries are only ever removed by the retention TTL
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+// Transform JSON output
+auditLogSchema.methods.toJSON = function() {
+  const entry = this.toObject();
+
+  delete entry.__v;
+
+  return entry;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
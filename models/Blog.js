@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const { sanitizeContent, sanitizeComment } = require('../utils/sanitize');
+const { renderMarkdown, createExcerpt } = require('../utils/markdown');
+const { truncate, calculateReadTime } = require('../utils/text');
+const { normalizeTags } = require('../utils/tags');
+const { escapeRegex } = require('../utils/search');
+const TagAlias = require('./TagAlias');
+const Category = require('./Category');
+
+// Co-authors share the byline; editors help behind the scenes
+const COLLABORATOR_ROLES = ['coauthor', 'editor'];
+const COLLABORATOR_PERMISSIONS = ['edit', 'publish', 'delete'];
+
+// Permissions granted when an invitation does not list any
+const DEFAULT_COLLABORATOR_PERMISSIONS = {
+  coauthor: ['edit', 'publish'],
+  editor: ['edit']
+};
+
+// Maximum number of collaborators (including pending invitations) on a post
+const COLLABORATOR_LIMIT = parseInt(process.env.COLLABORATOR_LIMIT) || 20;
+
+const idOf = value => (value && value._id ? value._id : value).toString();
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -17,11 +40,32 @@ const blogSchema = new mongoose.Schema({
     required: [true, 'Please provide blog content'],
     minlength: [50, 'Content must be at least 50 characters']
   },
+  contentFormat: {
+    type: String,
+    enum: ['html', 'markdown'],
+    default: 'html'
+  },
+  // Markdown source of markdown posts; description holds the rendered HTML
+  markdownSource: {
+    type: String
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
   category: {
     type: String,
     required: [true, 'Please provide a category'],
-    enum: ['Technology', 'Startup', 'Lifestyle', 'Finance', 'Health', 'Travel', 'Food', 'Education'],
-    default: 'Technology'
+    trim: true,
+    // Checked against the Category collection only when the category is set or
+    // changes, so posts left in a since-deactivated category can still be saved
+    validate: {
+      validator: function(name) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('category')) return true;
+        return Category.isAvailable(name);
+      },
+      message: 'Invalid category'
+    }
   },
   tags: [{
     type: String,
@@ -41,15 +85,49 @@ const blogSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Invited co-authors and editors; invitations grant access once accepted
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: 'coauthor'
+    },
+    permissions: [{
+      type: String,
+      enum: COLLABORATOR_PERMISSIONS
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    acceptedAt: {
+      type: Date
+    }
+  }],
+  // Accepted co-authors, kept in sync with collaborators for bylines and author queries
+  coAuthors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   readTime: {
     type: String,
     default: function() {
       // Calculate reading time based on content length
-      const wordsPerMinute = 200;
-      const textContent = this.description.replace(/<[^>]*>/g, ''); // Remove HTML tags
-      const words = textContent.split(/\s+/).length;
-      const readingTime = Math.ceil(words / wordsPerMinute);
-      return `${readingTime} min read`;
+      return calculateReadTime(this.description);
     }
   },
   views: {
@@ -81,10 +159,44 @@ const blogSchema = new mongoose.Schema({
       required: true,
       maxlength: [1000, 'Comment cannot be more than 1000 characters']
     },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    depth: {
+      type: Number,
+      default: 0
+    },
+    editedAt: {
+      type: Date
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: {
+      type: Date
+    },
     isApproved: {
       type: Boolean,
       default: false
     },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -102,19 +214,47 @@ const blogSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   slug: {
     type: String,
     unique: true,
     lowercase: true,
     trim: true
   },
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   metaDescription: {
     type: String,
     maxlength: [160, 'Meta description cannot be more than 160 characters']
   },
+  // True while metaDescription is derived from the excerpt rather than set by the author
+  metaDescriptionGenerated: {
+    type: Boolean,
+    default: false
+  },
   featured: {
     type: Boolean,
     default: false
+  },
+  // Set while the blog is in the trash; trashed blogs are purged after TRASH_RETENTION_DAYS
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -124,30 +264,111 @@ const blogSchema = new mongoose.Schema({
 blogSchema.index({ category: 1 });
 blogSchema.index({ tags: 1 });
 blogSchema.index({ author: 1 });
+blogSchema.index({ author: 1, publishedAt: -1 }); // Following feed
+blogSchema.index({ coAuthors: 1, publishedAt: -1 });
+blogSchema.index({ 'collaborators.user': 1 });
+blogSchema.index({ tags: 1, publishedAt: -1 });
 blogSchema.index({ createdAt: -1 });
 blogSchema.index({ publishedAt: -1 });
 blogSchema.index({ isPublished: 1 });
+blogSchema.index({ publishAt: 1 });
+blogSchema.index({ unpublishAt: 1 });
 blogSchema.index({ slug: 1 });
-blogSchema.index({ title: 'text', description: 'text' }); // Text search index
+blogSchema.index({ slugHistory: 1 });
+blogSchema.index({ 'comments._id': 1 });
+blogSchema.index({ 'comments.status': 1 });
+blogSchema.index({ deletedAt: 1 });
+blogSchema.index({ author: 1, deletedAt: -1 }); // Trash
+blogSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'blog_text_search', weights: { title: 10, tags: 5, description: 1 } }
+); // Text search index (title > tags > body)
 
-// Generate slug before saving
-blogSchema.pre('save', function(next) {
-  if (this.isModified('title') || this.isNew) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim('-'); // Remove leading/trailing hyphens
-    
-    // Add timestamp to ensure uniqueness
-    if (this.isNew) {
-      this.slug += '-' + Date.now();
+// Render and sanitize content before validation (so length checks see the stored value)
+blogSchema.pre('validate', function(next) {
+  if (this.contentFormat === 'markdown') {
+    if (this.isModified('markdownSource') || this.isModified('contentFormat')) {
+      this.description = renderMarkdown(this.markdownSource);
     }
+  } else if (this.isModified('contentFormat')) {
+    this.markdownSource = undefined;
   }
+
+  if (this.isModified('description') && this.description) {
+    this.description = sanitizeContent(this.description);
+    this.excerpt = createExcerpt(this.description);
+    this.readTime = calculateReadTime(this.description);
+  }
+
+  // Fall back to the excerpt when the author has not written a meta description
+  if (!this.metaDescription || this.metaDescriptionGenerated) {
+    this.metaDescription = truncate(this.excerpt || '', 160);
+    this.metaDescriptionGenerated = true;
+  }
+
   next();
 });
 
+// Normalize tags and map aliases to their canonical tag
+blogSchema.pre('validate', async function() {
+  if (this.isModified('tags')) {
+    this.tags = await TagAlias.resolve(normalizeTags(this.tags));
+  }
+});
+
+// Leave trashed blogs out of queries, unless a query asks for them with the
+// withDeleted option or filters on deletedAt itself (e.g. the trash)
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+};
+
+blogSchema.pre(['find', 'findOne', 'countDocuments'], excludeDeleted);
+
+// Same for aggregations, merged into a leading $match so $text stays the first stage
+blogSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const match = pipeline.length && pipeline[0].$match;
+
+  if (!match) {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  } else if (match.deletedAt === undefined) {
+    match.deletedAt = null;
+  }
+});
+
+// Keep the co-author byline in sync with accepted co-author invitations
+blogSchema.pre('validate', function(next) {
+  if (this.isModified('collaborators')) {
+    this.coAuthors = this.collaborators
+      .filter(collaborator => collaborator.role === 'coauthor' && collaborator.status === 'accepted')
+      .map(collaborator => collaborator.user);
+  }
+
+  next();
+});
+
+// Generate slug before saving
+blogSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('title') && this.slug) return;
+
+  const base = slugify(this.title) || 'post';
+
+  // Keep the current slug if the title still produces it
+  if (this.slug && (this.slug === base || new RegExp(`^${base}-\\d+$`).test(this.slug))) return;
+
+  const previousSlug = this.slug;
+  this.slug = await this.constructor.generateUniqueSlug(base, this._id);
+
+  // Remember the old slug so existing links keep resolving
+  if (previousSlug) {
+    this.slugHistory = this.slugHistory.filter(slug => slug !== this.slug);
+    if (!this.slugHistory.includes(previousSlug)) {
+      this.slugHistory.push(previousSlug);
+    }
+  }
+});
+
 // Virtual for like count
 blogSchema.virtual('likeCount').get(function() {
   return this.likes.length;
@@ -155,13 +376,163 @@ blogSchema.virtual('likeCount').get(function() {
 
 // Virtual for comment count
 blogSchema.virtual('commentCount').get(function() {
-  return this.comments.filter(comment => comment.isApproved).length;
+  return this.comments.filter(comment => comment.isApproved && !comment.isDeleted).length;
 });
 
-// Instance method to increment views
-blogSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
+// Instance method to check if blog is publicly visible right now
+blogSchema.methods.isLive = function() {
+  const now = new Date();
+
+  return this.isPublished &&
+    !this.isDraft &&
+    !this.deletedAt &&
+    !(this.publishedAt && this.publishedAt > now) &&
+    !(this.unpublishAt && this.unpublishAt <= now);
+};
+
+// Instance method to find a collaborator (pending or accepted) by user ID
+blogSchema.methods.getCollaborator = function(userId) {
+  return this.collaborators.find(collaborator => idOf(collaborator.user) === idOf(userId)) || null;
+};
+
+// Instance method to check what a user may do with this blog.
+// Permissions: view (unpublished content, revisions and statistics), edit, publish,
+// delete, and manage (collaborators and ownership), which only the owner and users whose
+// role grants blog:manage have.
+blogSchema.methods.hasPermission = function(user, permission) {
+  if (!user) return false;
+  if (user.can('blog:manage') || idOf(this.author) === idOf(user)) return true;
+  if (permission === 'manage') return false;
+
+  const collaborator = this.getCollaborator(user._id);
+  if (!collaborator || collaborator.status !== 'accepted') return false;
+
+  return permission === 'view' || collaborator.permissions.includes(permission);
+};
+
+// Instance method to invite a collaborator (does not save)
+blogSchema.methods.inviteCollaborator = function(userId, role, permissions, invitedBy) {
+  if (idOf(this.author) === idOf(userId)) {
+    const error = new Error('The owner cannot be invited as a collaborator');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (this.getCollaborator(userId)) {
+    const error = new Error('User is already a collaborator on this blog');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (this.collaborators.length >= COLLABORATOR_LIMIT) {
+    const error = new Error(`A blog cannot have more than ${COLLABORATOR_LIMIT} collaborators`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.collaborators.push({
+    user: userId,
+    role,
+    permissions: permissions || DEFAULT_COLLABORATOR_PERMISSIONS[role],
+    status: 'pending',
+    invitedBy
+  });
+
+  return this.collaborators[this.collaborators.length - 1];
+};
+
+// Instance method to accept a pending invitation (does not save)
+blogSchema.methods.acceptInvitation = function(userId) {
+  const collaborator = this.getCollaborator(userId);
+
+  if (!collaborator || collaborator.status !== 'pending') {
+    return null;
+  }
+
+  collaborator.status = 'accepted';
+  collaborator.acceptedAt = new Date();
+  return collaborator;
+};
+
+// Instance method to remove a collaborator or decline an invitation (does not save)
+blogSchema.methods.removeCollaborator = function(userId) {
+  const collaborator = this.getCollaborator(userId);
+
+  if (!collaborator) {
+    return false;
+  }
+
+  this.collaborators.pull(collaborator._id);
+  return true;
+};
+
+// Instance method to hand the blog over to an accepted collaborator (does not save).
+// The previous owner stays on as a co-author with every permission.
+blogSchema.methods.transferOwnership = function(newOwner) {
+  const collaborator = this.getCollaborator(newOwner._id);
+
+  if (!collaborator || collaborator.status !== 'accepted') {
+    const error = new Error('Ownership can only be transferred to a collaborator who accepted their invitation');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const previousOwner = this.author;
+
+  this.collaborators.pull(collaborator._id);
+  this.collaborators.push({
+    user: idOf(previousOwner),
+    role: 'coauthor',
+    permissions: COLLABORATOR_PERMISSIONS,
+    status: 'accepted',
+    acceptedAt: new Date()
+  });
+
+  this.author = newOwner._id;
+  this.authorName = newOwner.name;
+};
+
+// Instance method to publish immediately (does not save)
+blogSchema.methods.publishNow = function() {
+  this.isDraft = false;
+  this.isPublished = true;
+  this.publishAt = null;
+
+  if (!this.publishedAt || this.publishedAt > new Date()) {
+    this.publishedAt = new Date();
+  }
+};
+
+// Instance method to save as draft (does not save)
+blogSchema.methods.saveAsDraft = function() {
+  this.isDraft = true;
+  this.isPublished = false;
+  this.publishAt = null;
+};
+
+// Instance method to schedule publishing for a future date (does not save)
+blogSchema.methods.schedulePublish = function(date) {
+  this.isDraft = false;
+  this.isPublished = false;
+  this.publishAt = new Date(date);
+  this.publishedAt = null;
+};
+
+// Instance method to set the body in the given format (does not save)
+blogSchema.methods.setContent = function(content, format = this.contentFormat) {
+  this.contentFormat = format;
+
+  if (format === 'markdown') {
+    this.markdownSource = content;
+  } else {
+    this.description = content;
+  }
+};
+
+// Instance method to set the meta description; empty falls back to the excerpt (does not save)
+blogSchema.methods.setMetaDescription = function(metaDescription) {
+  this.metaDescription = metaDescription;
+  this.metaDescriptionGenerated = !metaDescription;
 };
 
 // Instance method to add like
@@ -182,45 +553,380 @@ blogSchema.methods.removeLike = function(userId) {
   return this.save();
 };
 
-// Instance method to add comment
-blogSchema.methods.addComment = function(userId, name, content) {
+// Instance method to add comment (optionally as a reply to another comment)
+blogSchema.methods.addComment = function(userId, name, content, parentId = null) {
+  const parent = parentId ? this.comments.id(parentId) : null;
+
   this.comments.push({
     user: userId,
     name: name,
-    content: content,
-    isApproved: false // Comments need approval by default
+    content: sanitizeComment(content),
+    parent: parent ? parent._id : null,
+    depth: parent ? parent.depth + 1 : 0,
+    isApproved: false, // Comments need approval by default
+    status: 'pending'
   });
   return this.save();
 };
 
+// Instance method to build a page of the visible comment tree
+blogSchema.methods.getCommentTree = function(viewerId, { page = 1, limit = 20, sort = 'newest' } = {}) {
+  const viewer = viewerId ? viewerId.toString() : null;
+  const idOf = value => (value && value._id ? value._id : value).toString();
+
+  // Approved comments are public; commenters also see their own pending ones
+  const isVisible = comment =>
+    comment.isApproved || (viewer && comment.status === 'pending' && idOf(comment.user) === viewer);
+
+  const nodes = new Map();
+  this.comments.forEach(comment => {
+    if (!isVisible(comment)) return;
+
+    nodes.set(comment._id.toString(), {
+      _id: comment._id,
+      parent: comment.parent,
+      depth: comment.depth,
+      user: comment.isDeleted ? null : comment.user,
+      name: comment.isDeleted ? null : comment.name,
+      content: comment.isDeleted ? null : comment.content,
+      status: comment.status,
+      isDeleted: comment.isDeleted,
+      editedAt: comment.editedAt,
+      createdAt: comment.createdAt,
+      replies: []
+    });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    if (!node.parent) {
+      roots.push(node);
+    } else if (nodes.has(node.parent.toString())) {
+      nodes.get(node.parent.toString()).replies.push(node);
+    }
+    // Replies to hidden comments are dropped along with their parent
+  });
+
+  // Deleted comments only remain as placeholders while they still have replies
+  const prune = list => list.filter(node => {
+    node.replies = prune(node.replies)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    return !node.isDeleted || node.replies.length > 0;
+  });
+
+  const tree = prune(roots)
+    .sort((a, b) => sort === 'oldest' ? a.createdAt - b.createdAt : b.createdAt - a.createdAt);
+
+  return {
+    comments: tree.slice((page - 1) * limit, page * limit),
+    total: tree.length
+  };
+};
+
+// Instance method to soft-delete a comment; it stays as a placeholder while it has replies (does not save)
+blogSchema.methods.deleteComment = function(commentId) {
+  const comment = this.comments.id(commentId);
+
+  if (!comment) {
+    return null;
+  }
+
+  comment.isDeleted = true;
+  comment.deletedAt = new Date();
+
+  return comment;
+};
+
+// Instance method to approve or reject a comment (does not save)
+blogSchema.methods.moderateComment = function(commentId, action, moderatorId, reason) {
+  const comment = this.comments.id(commentId);
+
+  if (!comment) {
+    return null;
+  }
+
+  comment.status = action === 'approve' ? 'approved' : 'rejected';
+  comment.isApproved = action === 'approve';
+  comment.moderatedBy = moderatorId;
+  comment.moderatedAt = new Date();
+
+  // Keep the last rejection reason for auditing even if later approved
+  if (action === 'reject') {
+    comment.rejectionReason = reason || '';
+  }
+
+  return comment;
+};
+
+// Static method to list comments across all blogs for moderation
+blogSchema.statics.getModerationQueue = async function(filters = {}, page = 1, limit = 20) {
+  const { status = 'pending', blogId, authorId, userId, from, to, sort = 'oldest' } = filters;
+
+  const blogMatch = {};
+  if (blogId) blogMatch._id = new mongoose.Types.ObjectId(blogId);
+  if (authorId) blogMatch.author = new mongoose.Types.ObjectId(authorId);
+  // Only unwind posts with a matching comment (uses the comments.status index);
+  // null also matches comments from before moderation, which have no status
+  if (status !== 'all') blogMatch['comments.status'] = { $in: [status, null] };
+
+  // Deleted comments only remain as placeholders for their replies
+  const commentMatch = { 'comment.isDeleted': { $ne: true } };
+  if (status !== 'all') commentMatch['comment.status'] = status;
+  if (userId) commentMatch['comment.user'] = new mongoose.Types.ObjectId(userId);
+  if (from || to) {
+    commentMatch['comment.createdAt'] = {};
+    if (from) commentMatch['comment.createdAt'].$gte = new Date(from);
+    if (to) commentMatch['comment.createdAt'].$lte = new Date(to);
+  }
+
+  const [result] = await this.aggregate([
+    { $match: blogMatch },
+    { $unwind: '$comments' },
+    {
+      $project: {
+        _id: 0,
+        blog: { _id: '$_id', title: '$title', slug: '$slug', author: '$author', authorName: '$authorName' },
+        comment: {
+          $mergeObjects: [
+            '$comments',
+            {
+              // Comments created before moderation existed only have isApproved
+              status: {
+                $ifNull: ['$comments.status', { $cond: ['$comments.isApproved', 'approved', 'pending'] }]
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $match: commentMatch },
+    { $sort: { 'comment.createdAt': sort === 'newest' ? -1 : 1 } },
+    {
+      $facet: {
+        comments: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    comments: result.comments,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+// Static method to find a slug not used (now or previously) by another blog
+blogSchema.statics.generateUniqueSlug = async function(base, excludeId) {
+  let slug = base;
+  let suffix = 1;
+
+  // Trashed blogs keep their slugs in case they are restored
+  const isTaken = candidate => this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug: candidate }, { slugHistory: candidate }]
+  }).setOptions({ withDeleted: true });
+
+  while (await isTaken(slug)) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+// Static method to find a blog by its current or a previous slug
+blogSchema.statics.findBySlug = function(slug) {
+  const normalized = String(slug).toLowerCase();
+  return this.findOne({ $or: [{ slug: normalized }, { slugHistory: normalized }] });
+};
+
+// Static method to build the filter for blogs a user is credited on (owner or co-author)
+blogSchema.statics.creditedQuery = function(userId) {
+  return { $or: [{ author: userId }, { coAuthors: userId }] };
+};
+
+// Static method to build the filter for blogs a user owns or collaborates on,
+// optionally only as a collaborator granted the given permission (e.g. delete)
+blogSchema.statics.memberQuery = function(userId, permission = null) {
+  const collaborator = { user: userId, status: 'accepted' };
+  if (permission) collaborator.permissions = permission;
+
+  return {
+    $or: [
+      { author: userId },
+      { collaborators: { $elemMatch: collaborator } }
+    ]
+  };
+};
+
+// Static method to build the filter for publicly visible blogs
+blogSchema.statics.publishedQuery = function() {
+  const now = new Date();
+
+  return {
+    isPublished: true,
+    isDraft: false,
+    publishedAt: { $lte: now },
+    unpublishAt: { $not: { $lte: now } }
+  };
+};
+
+// Static method to apply due scheduled publish/unpublish dates
+blogSchema.statics.processSchedule = async function() {
+  const now = new Date();
+
+  const published = await this.updateMany(
+    { isPublished: false, isDraft: false, publishAt: { $ne: null, $lte: now } },
+    [{ $set: { isPublished: true, publishedAt: '$publishAt', publishAt: null } }]
+  );
+
+  const unpublished = await this.updateMany(
+    { isPublished: true, unpublishAt: { $ne: null, $lte: now } },
+    { $set: { isPublished: false, isDraft: true, unpublishAt: null } }
+  );
+
+  return {
+    published: published.modifiedCount,
+    unpublished: unpublished.modifiedCount
+  };
+};
+
+// Static method to replace tags across all blogs in one update (for rename/merge),
+// optionally as part of a transaction
+blogSchema.statics.replaceTags = async function(sources, target, session = null) {
+  const result = await this.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          // Swap sources for target, then drop duplicates while keeping order
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                as: 'tag',
+                in: { $cond: [{ $in: ['$$tag', sources] }, target, '$$tag'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }],
+    { session }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to count tag usage across published blogs
+blogSchema.statics.getTagCounts = function(options = {}) {
+  const { prefix, minCount = 1, sort = 'count', limit = 100 } = options;
+
+  const match = { ...this.publishedQuery() };
+  const tagMatch = prefix ? { tags: { $regex: `^${escapeRegex(prefix)}` } } : null;
+  if (tagMatch) Object.assign(match, tagMatch);
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(tagMatch ? [{ $match: tagMatch }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 }, lastUsedAt: { $max: '$publishedAt' } } },
+    { $match: { count: { $gte: minCount } } },
+    { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsedAt: 1 } }
+  ]);
+};
+
 // Static method to get published blogs
 blogSchema.statics.getPublished = function() {
-  return this.find({ isPublished: true, isDraft: false })
+  return this.find(this.publishedQuery())
     .populate('author', 'name email avatar')
     .sort({ publishedAt: -1 });
 };
 
 // Static method to search blogs
 blogSchema.statics.searchBlogs = function(query) {
-  return this.find({
-    $and: [
-      { isPublished: true, isDraft: false },
-      {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
+  return this.find(
+    { ...this.publishedQuery(), $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+  .populate('author', 'name email avatar')
+  .sort({ score: { $meta: 'textScore' }, publishedAt: -1 });
+};
+
+// Static method for relevance-ranked search with facet counts.
+// Facets are counted over all matches so clients can show every refinement.
+blogSchema.statics.search = async function(query, filters = {}, page = 1, limit = 10) {
+  const { category, tag, author } = filters;
+
+  const refine = {};
+  if (category) refine.category = category;
+  if (tag) refine.tags = tag;
+  if (author) Object.assign(refine, this.creditedQuery(new mongoose.Types.ObjectId(author)));
+
+  const [result] = await this.aggregate([
+    { $match: { $text: { $search: query }, ...this.publishedQuery() } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        blogs: [
+          { $match: refine },
+          { $sort: { score: -1, publishedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { comments: 0, likes: 0, slugHistory: 0, collaborators: 0 } }
+        ],
+        total: [
+          { $match: refine },
+          { $count: 'count' }
+        ],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        authors: [
+          { $group: { _id: '$author', name: { $first: '$authorName' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, name: 1 } },
+          { $limit: 20 }
         ]
       }
-    ]
-  })
-  .populate('author', 'name email avatar')
-  .sort({ publishedAt: -1 });
+    }
+  ]);
+
+  await this.populate(result.blogs, [
+    { path: 'author', select: 'name email avatar' },
+    { path: 'coAuthors', select: 'name avatar' }
+  ]);
+
+  return {
+    blogs: result.blogs,
+    total: result.total.length ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories.map(facet => ({ value: facet._id, count: facet.count })),
+      tags: result.tags.map(facet => ({ value: facet._id, count: facet.count })),
+      authors: result.authors.map(facet => ({ value: facet._id, name: facet.name, count: facet.count }))
+    }
+  };
 };
 
 // Static method to get blogs by category
 blogSchema.statics.getByCategory = function(category) {
-  const query = { isPublished: true, isDraft: false };
+  const query = this.publishedQuery();
   
   if (category && category !== 'All') {
     query.category = category;
@@ -234,12 +940,13 @@ blogSchema.statics.getByCategory = function(category) {
 // Static method to get related blogs
 blogSchema.statics.getRelated = function(blogId, category, limit = 3) {
   return this.find({
+    ...this.publishedQuery(),
     _id: { $ne: blogId },
-    category: category,
-    isPublished: true,
-    isDraft: false
+    category: category
   })
+  .select('-collaborators')
   .populate('author', 'name email avatar')
+  .populate('coAuthors', 'name avatar')
   .sort({ publishedAt: -1 })
   .limit(limit);
 };
@@ -253,4 +960,8 @@ blogSchema.methods.toJSON = function() {
   return blog;
 };
 
+blogSchema.statics.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+blogSchema.statics.COLLABORATOR_PERMISSIONS = COLLABORATOR_PERMISSIONS;
+blogSchema.statics.COLLABORATOR_LIMIT = COLLABORATOR_LIMIT;
+
 module.exports = mongoose.model('Blog', blogSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// How long a visitor's view of a post is remembered, so repeat visits within
+// it are not counted again. The TTL index is created once; after changing
+// this, drop the blogviews createdAt index so it is rebuilt.
+const VIEW_DEDUPE_WINDOW_HOURS = parseInt(process.env.VIEW_DEDUPE_WINDOW_HOURS) || 24;
+
+// One row per visitor per post within the dedupe window
+const blogViewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // "u:<userId>" for signed in readers, "a:<hash>" for anonymous visitors
+  visitorKey: {
+    type: String,
+    required: true
+  },
+  // Referring domain reported by the client, counted once per view
+  referrer: {
+    type: String,
+    default: null
+  },
+  // When the client reported the visitor reached the end of the post
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+blogViewSchema.index({ blog: 1, visitorKey: 1 }, { unique: true });
+blogViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: VIEW_DEDUPE_WINDOW_HOURS * 60 * 60 });
+
+module.exports = mongoose.model('BlogView', blogViewSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// Categories created by the migration and seed scripts (the former hardcoded list)
+const DEFAULT_CATEGORIES = [
+  'Technology', 'Startup', 'Lifestyle', 'Finance', 'Health', 'Travel', 'Food', 'Education'
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a category name'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c'],
+    default: null
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot be more than 50 characters'],
+    default: ''
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Inactive categories are hidden and cannot be chosen for new posts
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+categorySchema.index({ order: 1, name: 1 });
+categorySchema.index({ parent: 1 });
+
+// Generate slug from the name
+categorySchema.pre('validate', function(next) {
+  if (this.isModified('name') || !this.slug) {
+    this.slug = slugify(this.name || '');
+  }
+  next();
+});
+
+// Static method to check a category can be assigned to a post
+categorySchema.statics.isAvailable = async function(name) {
+  return !!(await this.exists({ name, isActive: true }));
+};
+
+// Static method to check if making parentId the parent of categoryId would create a loop
+categorySchema.statics.createsCycle = async function(categoryId, parentId) {
+  let currentId = parentId;
+
+  while (currentId) {
+    if (categoryId && currentId.toString() === categoryId.toString()) return true;
+
+    const current = await this.findById(currentId).select('parent').lean();
+    currentId = current ? current.parent : null;
+  }
+
+  return false;
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+// Transform JSON output
+categorySchema.methods.toJSON = function() {
+  const category = this.toObject();
+
+  delete category.__v;
+
+  return category;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Per-post visits from one referring domain on one UTC day
+const dailyReferrerSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Midnight UTC
+  date: {
+    type: Date,
+    required: true
+  },
+  // e.g. "news.ycombinator.com", "(direct)" or "(internal)"
+  domain: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Indexes for better query performance
+dailyReferrerSchema.index({ blog: 1, date: 1, domain: 1 }, { unique: true });
+
+module.exports = mongoose.model('DailyReferrer', dailyReferrerSchema);
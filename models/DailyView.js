@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Per-post view totals for one UTC day
+const dailyViewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC
+  date: {
+    type: Date,
+    required: true
+  },
+  // De-duplicated views (what Blog.views counts)
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Every non-bot page load, including repeat visits
+  pageviews: {
+    type: Number,
+    default: 0
+  },
+  // Views where the client reported the reader reached the end of the post
+  reads: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Indexes for better query performance
+dailyViewSchema.index({ blog: 1, date: 1 }, { unique: true });
+dailyViewSchema.index({ author: 1, date: 1 });
+
+// Static method to get a post's daily views between two days, filling gaps with zeros
+dailyViewSchema.statics.getSeries = async function(blogId, from, to) {
+  const rows = await this.find({ blog: blogId, date: { $gte: from, $lte: to } })
+    .sort({ date: 1 })
+    .lean();
+
+  const byDay = new Map(rows.map(row => [row.date.getTime(), row]));
+  const series = [];
+
+  for (let day = new Date(from); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    const row = byDay.get(day.getTime());
+    series.push({
+      date: day.toISOString().slice(0, 10),
+      views: row ? row.views : 0,
+      pageviews: row ? row.pageviews : 0,
+      reads: row ? row.reads : 0
+    });
+  }
+
+  return series;
+};
+
+module.exports = mongoose.model('DailyView', dailyViewSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Maximum number of authors plus tags a user can follow
+const FOLLOW_LIMIT = parseInt(process.env.FOLLOW_LIMIT) || 2000;
+
+// A user following either another user (author) or a tag
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['user', 'tag'],
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.kind === 'user'; }
+  },
+  tag: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: function() { return this.kind === 'tag'; }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+followSchema.index(
+  { follower: 1, following: 1 },
+  { unique: true, partialFilterExpression: { kind: 'user' } }
+);
+followSchema.index(
+  { follower: 1, tag: 1 },
+  { unique: true, partialFilterExpression: { kind: 'tag' } }
+);
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, kind: 1, createdAt: -1 });
+
+// Static method to get follower and following counts for a user
+followSchema.statics.getCounts = async function(userId) {
+  const [followers, following, followingTags] = await Promise.all([
+    this.countDocuments({ kind: 'user', following: userId }),
+    this.countDocuments({ kind: 'user', follower: userId }),
+    this.countDocuments({ kind: 'tag', follower: userId })
+  ]);
+
+  return { followers, following, followingTags };
+};
+
+// Static method to get everything a user follows, for building their feed
+followSchema.statics.getFollowed = async function(userId) {
+  const follows = await this.find({ follower: userId })
+    .select('kind following tag')
+    .lean();
+
+  return {
+    authors: follows.filter(follow => follow.kind === 'user').map(follow => follow.following),
+    tags: follows.filter(follow => follow.kind === 'tag').map(follow => follow.tag)
+  };
+};
+
+// Static method to follow a user or tag; returns false if it was already followed
+followSchema.statics.add = async function(followerId, kind, target) {
+  const follow = kind === 'user'
+    ? { follower: followerId, kind, following: target }
+    : { follower: followerId, kind, tag: target };
+
+  if (await this.exists(follow)) return false;
+
+  if (await this.countDocuments({ follower: followerId }) >= FOLLOW_LIMIT) {
+    const error = new Error(`You cannot follow more than ${FOLLOW_LIMIT} authors and tags`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    await this.create(follow);
+  } catch (error) {
+    // Lost a race with a concurrent request for the same follow
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  return true;
+};
+
+// Static method to move tag follows to a renamed or merged tag, optionally as part of a transaction
+followSchema.statics.replaceTags = async function(sources, target, session = null) {
+  // Run one after the other: a session cannot be used by concurrent operations
+  const followers = await this.distinct('follower', { kind: 'tag', tag: { $in: sources } }).session(session);
+  const targetFollowers = await this.distinct('follower', { kind: 'tag', tag: target }).session(session);
+
+  if (!followers.length) return;
+
+  await this.deleteMany({ kind: 'tag', tag: { $in: sources } }, { session });
+
+  const alreadyFollowing = new Set(targetFollowers.map(id => id.toString()));
+  const newFollows = followers
+    .filter(id => !alreadyFollowing.has(id.toString()))
+    .map(follower => ({ follower, kind: 'tag', tag: target }));
+
+  if (newFollows.length) {
+    await this.insertMany(newFollows, { ordered: false, session });
+  }
+};
+
+followSchema.statics.FOLLOW_LIMIT = FOLLOW_LIMIT;
+
+// Transform JSON output
+followSchema.methods.toJSON = function() {
+  const follow = this.toObject();
+
+  delete follow.__v;
+
+  return follow;
+};
+
+module.exports = mongoose.model('Follow', followSchema);
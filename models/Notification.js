@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Notifications are removed automatically this long after their last activity
+const NOTIFICATION_TTL_DAYS = parseInt(process.env.NOTIFICATION_TTL_DAYS) || 90;
+
+// Most recent actors kept on an aggregated notification
+const MAX_ACTORS = 50;
+
+const NOTIFICATION_TYPES = ['like', 'comment', 'reply', 'moderation', 'invitation'];
+
+const expiryDate = () => new Date(Date.now() + NOTIFICATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // Unread notifications with the same key are merged ("12 people liked your post")
+  groupKey: {
+    type: String,
+    default: null
+  },
+  // Most recent first
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  actorCount: {
+    type: Number,
+    default: 1
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  },
+  blogTitle: {
+    type: String,
+    default: ''
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Moderation outcome ("approved" or "rejected") and reason
+  status: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: expiryDate
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, isRead: 1, updatedAt: -1 });
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false, groupKey: { $type: 'string' } } }
+);
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add an actor to the recipient's unread notification for a
+// group, creating the notification if there is none
+notificationSchema.statics.addActor = async function(fields, actorId) {
+  const { recipient, groupKey } = fields;
+  const filter = { recipient, groupKey, isRead: false };
+
+  const update = async () => {
+    const result = await this.updateOne(
+      { ...filter, actors: { $ne: actorId } },
+      {
+        $push: { actors: { $each: [actorId], $position: 0, $slice: MAX_ACTORS } },
+        $inc: { actorCount: 1 },
+        $set: { expiresAt: expiryDate() }
+      }
+    );
+    return result.matchedCount > 0 || !!(await this.exists({ ...filter, actors: actorId }));
+  };
+
+  if (await update()) return;
+
+  try {
+    await this.create({ ...fields, actors: [actorId], actorCount: 1 });
+  } catch (error) {
+    // A concurrent event created the notification first
+    if (error.code !== 11000) throw error;
+    await update();
+  }
+};
+
+// Static method to take an actor back off an unread aggregated notification (e.g. on unlike)
+notificationSchema.statics.removeActor = async function(recipient, groupKey, actorId) {
+  const filter = { recipient, groupKey, isRead: false };
+
+  await this.updateOne(
+    { ...filter, actors: actorId },
+    { $pull: { actors: actorId }, $inc: { actorCount: -1 } }
+  );
+  await this.deleteOne({ ...filter, actorCount: { $lte: 0 } });
+};
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+// Transform JSON output
+notificationSchema.methods.toJSON = function() {
+  const notification = this.toObject();
+
+  delete notification.__v;
+  delete notification.groupKey;
+  delete notification.expiresAt;
+
+  return notification;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Maximum number of lists a user can create (besides their bookmarks)
+const READING_LIST_LIMIT = parseInt(process.env.READING_LIST_LIMIT) || 50;
+
+// Maximum number of posts in a single list
+const READING_LIST_MAX_ITEMS = parseInt(process.env.READING_LIST_MAX_ITEMS) || 500;
+
+const readingListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a list name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Every user has one default list holding their bookmarks
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Kept in reading order
+  items: [{
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot be more than 500 characters'],
+      default: ''
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+readingListSchema.index({ owner: 1, updatedAt: -1 });
+readingListSchema.index(
+  { owner: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+readingListSchema.index({ owner: 1, isDefault: 1, 'items.blog': 1 });
+
+// Method to find an item by blog ID
+readingListSchema.methods.findItem = function(blogId) {
+  return this.items.find(item => item.blog.toString() === blogId.toString());
+};
+
+// Method to add a blog to the end of the list
+readingListSchema.methods.addItem = function(blogId, note = '') {
+  if (this.findItem(blogId)) return false;
+
+  if (this.items.length >= READING_LIST_MAX_ITEMS) {
+    const error = new Error(`A list cannot hold more than ${READING_LIST_MAX_ITEMS} posts`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.items.push({ blog: blogId, note });
+  return true;
+};
+
+// Method to remove a blog from the list
+readingListSchema.methods.removeItem = function(blogId) {
+  const item = this.findItem(blogId);
+  if (!item) return false;
+
+  this.items.pull(item._id);
+  return true;
+};
+
+// Method to reorder items; blogIds must list every post in the list exactly once
+readingListSchema.methods.reorder = function(blogIds) {
+  const ids = blogIds.map(id => id.toString());
+
+  if (ids.length !== this.items.length || new Set(ids).size !== ids.length || ids.some(id => !this.findItem(id))) {
+    const error = new Error('Order must list every post in the list exactly once');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.items = ids.map(id => this.findItem(id).toObject());
+};
+
+// Static method to get a user's bookmarks list, creating it on first use
+readingListSchema.statics.getBookmarks = async function(userId) {
+  try {
+    return await this.findOneAndUpdate(
+      { owner: userId, isDefault: true },
+      { $setOnInsert: { owner: userId, isDefault: true, name: 'Bookmarks' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code === 11000) return this.findOne({ owner: userId, isDefault: true });
+    throw error;
+  }
+};
+
+// Static method to check if a user bookmarked a blog
+readingListSchema.statics.isBookmarked = async function(userId, blogId) {
+  return !!(await this.exists({ owner: userId, isDefault: true, 'items.blog': blogId }));
+};
+
+readingListSchema.statics.READING_LIST_LIMIT = READING_LIST_LIMIT;
+
+// Transform JSON output
+readingListSchema.methods.toJSON = function() {
+  const list = this.toObject();
+
+  delete list.__v;
+
+  return list;
+};
+
+module.exports = mongoose.model('ReadingList', readingListSchema);
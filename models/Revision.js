@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Blog fields captured in every revision
+const TRACKED_FIELDS = [
+  'title', 'subTitle', 'description', 'contentFormat', 'markdownSource',
+  'category', 'tags', 'image', 'metaDescription', 'metaDescriptionGenerated'
+];
+
+// Maximum number of revisions kept per blog (oldest are pruned first)
+const REVISION_LIMIT = parseInt(process.env.REVISION_LIMIT) || 50;
+
+const revisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  editorName: {
+    type: String,
+    required: true
+  },
+  snapshot: {
+    title: String,
+    subTitle: String,
+    description: String,
+    contentFormat: String,
+    markdownSource: String,
+    category: String,
+    tags: [String],
+    image: String,
+    metaDescription: String,
+    metaDescriptionGenerated: Boolean
+  },
+  changedFields: [{
+    type: String
+  }],
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+revisionSchema.index({ blog: 1, revisionNumber: -1 }, { unique: true });
+
+// Attempts at taking the next revision number when concurrent saves collide
+const RECORD_ATTEMPTS = 5;
+
+// Copy the tracked fields of a blog
+const snapshotOf = (blog) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    // Copy arrays so later edits to the blog do not change the snapshot
+    snapshot[field] = Array.isArray(blog[field]) ? [...blog[field]] : blog[field];
+  });
+  return snapshot;
+};
+
+// Static method to record the current state of a blog as a new revision
+revisionSchema.statics.record = async function(blog, user, changedFields, restoredFrom = null) {
+  let revision;
+
+  // The unique index rejects a number another save has just taken; retry with the next one
+  for (let attempt = 1; !revision; attempt++) {
+    const latest = await this.findOne({ blog: blog._id })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber');
+
+    try {
+      revision = await this.create({
+        blog: blog._id,
+        revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+        editor: user._id,
+        editorName: user.name,
+        snapshot: snapshotOf(blog),
+        changedFields,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+
+  // Enforce retention limit
+  const stale = await this.find({ blog: blog._id })
+    .sort({ revisionNumber: -1 })
+    .skip(REVISION_LIMIT)
+    .select('_id');
+
+  if (stale.length) {
+    await this.deleteMany({ _id: { $in: stale.map(rev => rev._id) } });
+  }
+
+  return revision;
+};
+
+// Static method to record a blog's content from before an edit (a snapshotOf taken
+// before changing it) as its first revision, credited to the author, when it has none
+// yet (posts written before revisions were kept), so the original can be restored
+revisionSchema.statics.recordBaseline = async function(blog, snapshot) {
+  if (await this.exists({ blog: blog._id })) return null;
+
+  try {
+    return await this.create({
+      blog: blog._id,
+      revisionNumber: 1,
+      editor: blog.author,
+      editorName: blog.authorName,
+      snapshot,
+      changedFields: []
+    });
+  } catch (error) {
+    // A concurrent save recorded the baseline first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to list tracked fields changed on a blog document
+revisionSchema.statics.changedFields = function(blog) {
+  return TRACKED_FIELDS.filter(field => blog.isModified(field));
+};
+
+revisionSchema.statics.snapshotOf = snapshotOf;
+revisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+// Transform JSON output
+revisionSchema.methods.toJSON = function() {
+  const revision = this.toObject();
+
+  delete revision.__v;
+
+  return revision;
+};
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole } = require('../utils/permissions');
+
+// Custom roles defined by admins, alongside the built-in ones
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Name cannot be more than 30 characters'],
+    match: [/^[a-z][a-z0-9-]*$/, 'Name may only contain letters, numbers and hyphens'],
+    validate: {
+      validator: (name) => !isBuiltInRole(name),
+      message: 'Name is reserved for a built-in role'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the permissions of a built-in or custom role (unknown roles have none)
+roleSchema.statics.getPermissions = async function(name) {
+  if (isBuiltInRole(name)) return BUILT_IN_ROLES[name];
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Static method to check a role can be assigned to a user
+roleSchema.statics.isAvailable = async function(name) {
+  return isBuiltInRole(name) || !!(await this.exists({ name }));
+};
+
+// Transform JSON output
+roleSchema.methods.toJSON = function() {
+  const role = this.toObject();
+
+  delete role.__v;
+
+  return role;
+};
+
+module.exports = mongoose.model('Role', roleSchema);
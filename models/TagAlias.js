@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Maps an alternative spelling (e.g. "reactjs") to its canonical tag ("react")
+const tagAliasSchema = new mongoose.Schema({
+  alias: {
+    type: String,
+    required: [true, 'Please provide an alias'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  tag: {
+    type: String,
+    required: [true, 'Please provide the canonical tag'],
+    trim: true,
+    lowercase: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+tagAliasSchema.index({ tag: 1 });
+
+// Static method to map tags to their canonical form
+tagAliasSchema.statics.resolve = async function(tags) {
+  if (!tags.length) return tags;
+
+  const aliases = await this.find({ alias: { $in: tags } }).lean();
+  const canonical = new Map(aliases.map(entry => [entry.alias, entry.tag]));
+
+  return [...new Set(tags.map(tag => canonical.get(tag) || tag))];
+};
+
+// Transform JSON output
+tagAliasSchema.methods.toJSON = function() {
+  const alias = this.toObject();
+
+  delete alias.__v;
+
+  return alias;
+};
+
+module.exports = mongoose.model('TagAlias', tagAliasSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const uploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['cover', 'inline', 'avatar'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  originalName: {
+    type: String,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  // Documents currently using this file; uploads with none are orphans
+  references: [{
+    model: {
+      type: String,
+      enum: ['Blog', 'User'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+uploadSchema.index({ owner: 1, createdAt: -1 });
+uploadSchema.index({ url: 1 });
+uploadSchema.index({ 'references.model': 1, 'references.id': 1 });
+
+// Static method to get total bytes stored by a user
+uploadSchema.statics.getUsage = async function(ownerId) {
+  const [usage] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId) } },
+    { $group: { _id: null, bytes: { $sum: '$size' }, count: { $sum: 1 } } }
+  ]);
+
+  return usage ? { bytes: usage.bytes, count: usage.count } : { bytes: 0, count: 0 };
+};
+
+// Static method to make the uploads referenced by a document match the given URLs.
+// Only uploads owned by one of the given users are newly linked, so a document
+// cannot keep someone else's upload alive just by using its URL.
+uploadSchema.statics.syncReferences = async function(model, id, urls, owners = []) {
+  const reference = { model, id };
+  const uniqueUrls = [...new Set(urls.filter(Boolean))];
+
+  await this.updateMany(
+    { 'references.model': model, 'references.id': id, url: { $nin: uniqueUrls } },
+    { $pull: { references: reference } }
+  );
+
+  if (uniqueUrls.length) {
+    await this.updateMany(
+      { url: { $in: uniqueUrls }, owner: { $in: owners }, references: { $not: { $elemMatch: reference } } },
+      { $push: { references: reference } }
+    );
+  }
+};
+
+// Static method to find uploads no document has referenced for a grace period
+uploadSchema.statics.findOrphans = function(olderThan) {
+  return this.find({
+    references: { $size: 0 },
+    updatedAt: { $lt: olderThan }
+  });
+};
+
+// Transform JSON output
+uploadSchema.methods.toJSON = function() {
+  const upload = this.toObject();
+
+  delete upload.__v;
+  delete upload.storageKey;
+
+  return upload;
+};
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Role = require('./Role');
+const { BUILT_IN_ROLES, isBuiltInRole } = require('../utils/permissions');
+
+// One-time tokens are emailed in plain form but only stored as a SHA-256 hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,10 +31,18 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // A built-in role (see utils/permissions) or the name of a custom Role
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    // Only a new or changed role is checked, so users keep a role deactivated later
+    validate: {
+      validator: function(name) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('role')) return true;
+        return Role.isAvailable(name);
+      },
+      message: 'Invalid role'
+    }
   },
   avatar: {
     type: String,
@@ -43,10 +57,50 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // In-app notification types the user wants to receive
+  notificationPreferences: {
+    like: { type: Boolean, default: true },
+    comment: { type: Boolean, default: true },
+    reply: { type: Boolean, default: true },
+    moderation: { type: Boolean, default: true },
+    invitation: { type: Boolean, default: true }
+  },
   lastLogin: {
     type: Date,
     default: Date.now
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   refreshTokens: [{
     token: {
       type: String,
@@ -81,6 +135,20 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Instance method to resolve the permissions of the user's role (cached on the document)
+userSchema.methods.loadPermissions = async function() {
+  if (!this.$locals.permissions) {
+    this.$locals.permissions = await Role.getPermissions(this.role);
+  }
+  return this.$locals.permissions;
+};
+
+// Instance method to check a permission (custom roles need loadPermissions first)
+userSchema.methods.can = function(permission) {
+  const permissions = this.$locals.permissions || (isBuiltInRole(this.role) ? BUILT_IN_ROLES[this.role] : []);
+  return permissions.includes(permission);
+};
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -122,6 +190,66 @@ userSchema.methods.removeRefreshToken = function(tokenToRemove) {
   );
 };
 
+// Instance method to generate a password reset token (returns the plain token)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to invalidate any pending password reset token
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Instance method to generate an email verification token (returns the plain token).
+// Verifies pendingEmail when set, otherwise the current email.
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Instance method to mark the email (or pending new email) as verified
+userSchema.methods.confirmEmail = function() {
+  if (this.pendingEmail) {
+    this.email = this.pendingEmail;
+    this.pendingEmail = undefined;
+  }
+
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Static method to find user by a valid (unexpired) email verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+    isActive: true
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Static method to find user by a valid (unexpired) password reset token
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email, isActive: true }).select('+password');
@@ -149,6 +277,12 @@ userSchema.methods.toJSON = function() {
   
   delete user.password;
   delete user.refreshTokens;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  delete user.notificationPreferences;
   delete user.__v;
   
   return user;
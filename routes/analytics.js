@@ -0,0 +1,190 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const analytics = require('../services/analytics');
+const { startOfDay } = require('../services/views');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { isBot } = require('../utils/userAgent');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Longest range served by the analytics endpoint
+const ANALYTICS_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SERIES_COLUMNS = [
+  { key: 'date', label: 'Period start' },
+  { key: 'views', label: 'Views' },
+  { key: 'pageviews', label: 'Pageviews' },
+  { key: 'likes', label: 'Likes' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'reads', label: 'Reads' },
+  { key: 'readThroughRate', label: 'Read-through rate' }
+];
+
+const REFERRER_COLUMNS = [
+  { key: 'domain', label: 'Referrer' },
+  { key: 'count', label: 'Views' }
+];
+
+// @route   POST /api/analytics/blogs/:id/events
+// @desc    Report a view's referrer (type "view") or that the reader reached the end (type "read")
+// @access  Public
+router.post('/blogs/:id/events', [
+  optionalAuth,
+  body('type').isIn(['view', 'read']).withMessage('Type must be view or read'),
+  body('referrer')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Referrer cannot be more than 2000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Accepted but not counted, so bots learn nothing
+    if (isBot(req.get('User-Agent'))) {
+      return res.status(202).json({ success: true });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('author isPublished isDraft publishedAt unpublishAt');
+
+    if (!blog || !blog.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (req.body.type === 'read') {
+      await analytics.recordRead(req, blog);
+    } else {
+      await analytics.recordReferrer(req, blog, req.body.referrer);
+    }
+
+    res.status(202).json({ success: true });
+
+  } catch (error) {
+    console.error('Record analytics event error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording analytics event'
+    });
+  }
+});
+
+// @route   GET /api/analytics/blogs/:id
+// @desc    Get post analytics (from/to are days, default last 30 days; format=csv exports
+//          the series, or referrers with dataset=referrers)
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/blogs/:id', [
+  auth,
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('interval').optional().isIn(['day', 'week']).withMessage('Interval must be day or week'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('dataset').optional().isIn(['series', 'referrers']).withMessage('Dataset must be series or referrers')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('title slug author collaborators');
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!blog.hasPermission(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics of this blog'
+      });
+    }
+
+    const to = startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+    const from = startOfDay(req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * DAY_MS));
+
+    if (from > to || (to - from) / DAY_MS >= ANALYTICS_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be between 1 and ${ANALYTICS_MAX_DAYS} days`
+      });
+    }
+
+    const result = await analytics.getPostAnalytics(blog, {
+      from,
+      to,
+      interval: req.query.interval || 'day'
+    });
+
+    if (req.query.format === 'csv') {
+      const dataset = req.query.dataset || 'series';
+      const csv = dataset === 'referrers'
+        ? toCsv(REFERRER_COLUMNS, result.referrers)
+        : toCsv(SERIES_COLUMNS, result.series);
+      const filename = `${blog.slug || blog._id}-${dataset}-${result.range.from}-${result.range.to}.csv`;
+
+      return res
+        .type('text/csv')
+        .attachment(filename)
+        .send(csv);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        blog: {
+          _id: blog._id,
+          title: blog.title,
+          slug: blog.slug
+        },
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Get blog analytics error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blog analytics'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const { findPage } = require('../utils/cursor');
+
+const router = express.Router();
+
+// Most recent entries first, with a unique tiebreaker for cursor pagination
+const NEWEST_FIRST = [['createdAt', -1], ['_id', -1]];
+
+// @route   GET /api/audit-logs
+// @desc    Get audit log entries filtered by actor, target, action and date range (cursor paginated)
+// @access  Private (audit:view)
+router.get('/', [
+  auth,
+  requirePermission('audit:view'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid ID'),
+  query('target').optional().isMongoId().withMessage('Target must be a valid ID'),
+  query('targetType').optional().isIn(['User', 'Blog', 'Role']).withMessage('Target type must be User, Blog, or Role'),
+  query('action').optional().isIn(AuditLog.AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('after').optional().isString(),
+  query('before').optional().isString(),
+  query('includeTotal').optional().isBoolean().withMessage('includeTotal must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const { actor, target, targetType, action, from, to, after, before } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (target) filter.target = target;
+    if (targetType) filter.targetType = targetType;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [result, total] = await Promise.all([
+      findPage(AuditLog, filter, { sort: NEWEST_FIRST, sortName: 'newest', limit, after, before },
+        find => find.select('-__v -expiresAt')),
+      req.query.includeTotal === 'true' ? AuditLog.countDocuments(filter) : undefined
+    ]);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.docs,
+        pagination: {
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev,
+          totalEntries: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
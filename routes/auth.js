@@ -2,9 +2,32 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, verifyRefreshToken } = require('../middleware/auth');
+const { sendMail } = require('../services/mail');
+const templates = require('../services/mail/templates');
+const uploads = require('../services/uploads');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
+// Minimum time between verification emails for the same user
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Email a verification link for the user's email (or pending new email)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  const template = user.pendingEmail
+    ? templates.emailChange({ name: user.name, token: verificationToken, newEmail: user.pendingEmail, expiresInHours })
+    : templates.emailVerification({ name: user.name, token: verificationToken, expiresInHours });
+
+  await sendMail({
+    to: user.pendingEmail || user.email,
+    ...template
+  });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -60,6 +83,13 @@ router.post('/register', [
     
     await user.save(); // Save refresh token
 
+    // A failed verification email should not fail registration; the user can resend it
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -113,6 +143,8 @@ router.post('/login', [
     
     await user.save(); // Save refresh token
 
+    await audit.record(req, 'auth.login', { actor: user, target: user });
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -127,6 +159,13 @@ router.post('/login', [
     console.error('Login error:', error);
     
     if (error.message === 'Invalid login credentials') {
+      const target = await User.findOne({ email: req.body.email }).select('name email').catch(() => null);
+      await audit.record(req, 'auth.login_failed', {
+        actor: null,
+        target,
+        metadata: { email: req.body.email }
+      });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -203,6 +242,8 @@ router.post('/logout-all', auth, async (req, res) => {
     req.user.refreshTokens = [];
     await req.user.save();
 
+    await audit.record(req, 'auth.logout_all', { target: req.user });
+
     res.json({
       success: true,
       message: 'Logged out from all devices successfully'
@@ -218,14 +259,15 @@ router.post('/logout-all', auth, async (req, res) => {
 });
 
 // @route   GET /api/auth/me
-// @desc    Get current user profile
+// @desc    Get current user profile and the permissions of their role
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
       success: true,
       data: {
-        user: req.user
+        user: req.user,
+        permissions: await req.user.loadPermissions()
       }
     });
   } catch (error) {
@@ -254,7 +296,7 @@ router.put('/profile', [
     .withMessage('Bio cannot be more than 500 characters'),
   body('avatar')
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage('Avatar must be a valid URL')
 ], async (req, res) => {
   try {
@@ -278,6 +320,10 @@ router.put('/profile', [
 
     await user.save();
 
+    if (avatar !== undefined) {
+      await uploads.syncUserReferences(user);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -342,6 +388,8 @@ router.put('/change-password', [
     
     await user.save();
 
+    await audit.record(req, 'auth.password_change', { target: user });
+
     res.json({
       success: true,
       message: 'Password changed successfully. Please login again.'
@@ -356,4 +404,304 @@ router.put('/change-password', [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...templates.passwordReset({
+          name: user.name,
+          token: resetToken,
+          expiresInMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+        })
+      });
+    } catch (mailError) {
+      // Still answer generically so a mail failure does not reveal the account exists
+      console.error('Password reset email error:', mailError);
+
+      user.clearPasswordResetToken();
+      await user.save();
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Update password and make the token single-use
+    user.password = password;
+    user.clearPasswordResetToken();
+
+    // Clear all refresh tokens (logout from all devices)
+    user.refreshTokens = [];
+
+    await user.save();
+
+    await audit.record(req, 'auth.password_reset', { actor: user, target: user });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please login again.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address (or confirm an email change) using a token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    // The new address may have been registered since the change was requested
+    if (user.pendingEmail) {
+      const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+
+      if (emailTaken) {
+        user.pendingEmail = undefined;
+        await user.save();
+
+        return res.status(400).json({
+          success: false,
+          message: 'This email address is already in use by another account'
+        });
+      }
+    }
+
+    const emailChanged = !!user.pendingEmail;
+    user.confirmEmail();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: emailChanged ? 'Email address changed successfully' : 'Email verified successfully',
+      data: {
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the verification email (throttled)
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.isEmailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const secondsSinceLast = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+
+      if (secondsSinceLast < VERIFICATION_RESEND_SECONDS) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${Math.ceil(VERIFICATION_RESEND_SECONDS - secondsSinceLast)} seconds before requesting another email`
+        });
+      }
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.pendingEmail || user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   PUT /api/auth/change-email
+// @desc    Request an email change (takes effect once the new address is verified)
+// @access  Private
+router.put('/change-email', [
+  auth,
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+
+    // Get user with password
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    const emailTaken = await User.exists({ email: newEmail });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    user.pendingEmail = newEmail;
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Confirmation email sent to ${newEmail}. Your email will change once it is confirmed.`,
+      data: {
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email change'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,19 +1,95 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Blog = require('../models/Blog');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const Revision = require('../models/Revision');
+const Category = require('../models/Category');
+const ReadingList = require('../models/ReadingList');
+const DailyView = require('../models/DailyView');
+const sitemap = require('../services/sitemap');
+const uploads = require('../services/uploads');
+const events = require('../services/events');
+const views = require('../services/views');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const { sanitizeComment } = require('../utils/sanitize');
+const { findPage } = require('../utils/cursor');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Maximum nesting level for comment replies (top-level comments are depth 0)
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+// How long a commenter may edit their comment after posting it
+const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// Sort orders of the public blog list, each ending with a unique tiebreaker
+const BLOG_LIST_SORTS = {
+  newest: [['publishedAt', -1], ['_id', -1]],
+  oldest: [['publishedAt', 1], ['_id', 1]],
+  popular: [['views', -1], ['publishedAt', -1], ['_id', -1]]
+};
+
+// Longest range served by the daily views endpoint
+const VIEW_SERIES_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check if blog is visible to the user (unpublished blogs only to owner, collaborators or blog:manage)
+const canViewBlog = (user, blog) => {
+  return blog.isLive() || blog.hasPermission(user, 'view');
+};
+
+// Populate the bylines of listed blogs; collaborator details stay private
+const withBylines = (find) => {
+  return find
+    .select('-collaborators')
+    .populate('author', 'name email avatar')
+    .populate('coAuthors', 'name avatar');
+};
+
+// Send a single blog with its related blogs, counting the view
+const sendBlog = async (req, res, blog) => {
+  // Counted in the background so reads never wait on a write
+  views.recordView(req, blog).catch(error => console.error('Record view error:', error));
+
+  // Get related blogs and whether the viewer saved this one
+  const [relatedBlogs, isBookmarked] = await Promise.all([
+    Blog.getRelated(blog._id, blog.category, 3),
+    req.user ? ReadingList.isBookmarked(req.user._id, blog._id) : false
+  ]);
+
+  // Comments are served separately by GET /api/blogs/:id/comments
+  const blogData = blog.toJSON();
+  delete blogData.comments;
+
+  // Invitations and permissions are only shown to the people working on the post
+  if (!blog.hasPermission(req.user, 'view')) {
+    delete blogData.collaborators;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      blog: blogData,
+      relatedBlogs,
+      isBookmarked
+    }
+  });
+};
+
 // @route   GET /api/blogs
-// @desc    Get all published blogs with filtering and pagination
+// @desc    Get all published blogs with filtering and cursor pagination (after/before)
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('category').optional().trim(),
-  query('search').optional().trim(),
-  query('sort').optional().isIn(['newest', 'oldest', 'popular']).withMessage('Sort must be newest, oldest, or popular')
+  query('search').optional().trim().isLength({ max: 200 }).withMessage('Search cannot be more than 200 characters'),
+  query('sort').optional().isIn(['newest', 'oldest', 'popular']).withMessage('Sort must be newest, oldest, or popular'),
+  query('after').optional().isString(),
+  query('before').optional().isString(),
+  query('skipTotal').optional().isBoolean().withMessage('skipTotal must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -26,13 +102,11 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const { category, search, sort = 'newest' } = req.query;
+    const { category, search, sort = 'newest', after, before } = req.query;
 
     // Build query
-    let query = { isPublished: true, isDraft: false };
+    let query = Blog.publishedQuery();
 
     // Category filter
     if (category && category !== 'All') {
@@ -41,48 +115,67 @@ router.get('/', [
 
     // Search filter
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Sort options
-    let sortOption = {};
-    switch (sort) {
-      case 'oldest':
-        sortOption = { publishedAt: 1 };
-        break;
-      case 'popular':
-        sortOption = { views: -1, publishedAt: -1 };
-        break;
-      default: // newest
-        sortOption = { publishedAt: -1 };
-    }
-
-    // Execute query
-    const blogs = await Blog.find(query)
-      .populate('author', 'name email avatar')
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit)
-      .lean();
+      query.$text = { $search: search };
+    }
 
-    // Get total count for pagination
-    const total = await Blog.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
+    const sortFields = BLOG_LIST_SORTS[sort];
+
+    // Offset pagination (?page=) is still served for existing clients
+    if (req.query.page) {
+      const page = parseInt(req.query.page);
+      const sortOption = Object.fromEntries(sortFields);
+
+      const [blogs, total] = await Promise.all([
+        withBylines(Blog.find(query))
+          .sort(sortOption)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Blog.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(total / limit);
+
+      return res.json({
+        success: true,
+        data: {
+          blogs,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalBlogs: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    }
+
+    const [result, total] = await Promise.all([
+      findPage(Blog, query, { sort: sortFields, sortName: sort, limit, after, before }, withBylines),
+      req.query.skipTotal === 'true' ? undefined : Blog.countDocuments(query)
+    ]);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        blogs,
+        blogs: result.docs,
         pagination: {
-          currentPage: page,
-          totalPages,
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev,
+          // Totals are left out with ?skipTotal=true
           totalBlogs: total,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          totalPages: total === undefined ? undefined : Math.ceil(total / limit),
+          // The first page also answers clients that page with ?page=
+          currentPage: after || before ? undefined : 1
         }
       }
     });
@@ -97,16 +190,27 @@ router.get('/', [
 });
 
 // @route   GET /api/blogs/categories
-// @desc    Get all blog categories
+// @desc    Get active categories with their published post counts
 // @access  Public
 router.get('/categories', async (req, res) => {
   try {
-    const categories = await Blog.distinct('category', { isPublished: true, isDraft: false });
-    
+    const [categories, counts] = await Promise.all([
+      Category.find({ isActive: true }).sort({ order: 1, name: 1 }).select('-__v').lean(),
+      Blog.aggregate([
+        { $match: Blog.publishedQuery() },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const postCounts = new Map(counts.map(count => [count._id, count.count]));
+
     res.json({
       success: true,
       data: {
-        categories: ['All', ...categories]
+        categories: categories.map(category => ({
+          ...category,
+          postCount: postCounts.get(category.name) || 0
+        }))
       }
     });
 
@@ -124,12 +228,10 @@ router.get('/categories', async (req, res) => {
 // @access  Public
 router.get('/featured', async (req, res) => {
   try {
-    const blogs = await Blog.find({ 
-      isPublished: true, 
-      isDraft: false, 
+    const blogs = await withBylines(Blog.find({ 
+      ...Blog.publishedQuery(),
       featured: true 
-    })
-    .populate('author', 'name email avatar')
+    }))
     .sort({ publishedAt: -1 })
     .limit(5)
     .lean();
@@ -150,48 +252,144 @@ router.get('/featured', async (req, res) => {
   }
 });
 
-// @route   GET /api/blogs/:id
-// @desc    Get single blog by ID
+// @route   GET /api/blogs/slug/:slug
+// @desc    Get single blog by slug (old slugs redirect to the current one)
 // @access  Public
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id)
+    const slug = req.params.slug.toLowerCase();
+    const blog = await Blog.findBySlug(slug)
       .populate('author', 'name email avatar')
-      .populate('comments.user', 'name avatar');
+      .populate('coAuthors', 'name avatar');
 
-    if (!blog) {
+    if (!blog || !canViewBlog(req.user, blog)) {
       return res.status(404).json({
         success: false,
         message: 'Blog not found'
       });
     }
 
-    // Check if blog is published (unless user is author or admin)
-    if (!blog.isPublished || blog.isDraft) {
-      if (!req.user || (req.user._id.toString() !== blog.author._id.toString() && req.user.role !== 'admin')) {
-        return res.status(404).json({
-          success: false,
-          message: 'Blog not found'
+    // Old slug: point the client at the canonical one
+    if (blog.slug !== slug) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${blog.slug}`)
+        .json({
+          success: true,
+          message: 'Blog has moved to a new slug',
+          data: {
+            slug: blog.slug,
+            redirect: `${req.baseUrl}/slug/${blog.slug}`
+          }
         });
-      }
     }
 
-    // Increment views (only if not the author viewing their own blog)
-    if (!req.user || req.user._id.toString() !== blog.author._id.toString()) {
-      await blog.incrementViews();
+    await sendBlog(req, res, blog);
+
+  } catch (error) {
+    console.error('Get blog by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blog'
+    });
+  }
+});
+
+// @route   GET /api/blogs/trash
+// @desc    Get trashed blogs the current user owns or may delete as a collaborator, most
+//          recently deleted first (scope=all lists every trashed blog for users with blog:manage)
+// @access  Private
+router.get('/trash', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('scope').optional().isIn(['own', 'all']).withMessage('Scope must be own or all')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.query.scope === 'all' && !req.user.can('blog:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. The blog:manage permission is required.'
+      });
     }
 
-    // Get related blogs
-    const relatedBlogs = await Blog.getRelated(blog._id, blog.category, 3);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = req.query.scope === 'all' ? {} : Blog.memberQuery(req.user._id, 'delete');
+    filter.deletedAt = { $ne: null };
+
+    const [blogs, total] = await Promise.all([
+      Blog.find(filter)
+        .select('title subTitle slug category author authorName deletedAt deletedBy updatedAt')
+        .populate('deletedBy', 'name')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Blog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
       data: {
-        blog,
-        relatedBlogs
+        blogs: blogs.map(blog => ({ ...blog, purgeAt: trash.purgeDate(blog.deletedAt) })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBlogs: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
       }
     });
 
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id
+// @desc    Get single blog by ID
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id)
+      .populate('author', 'name email avatar')
+      .populate('coAuthors', 'name avatar');
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!canViewBlog(req.user, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    await sendBlog(req, res, blog);
+
   } catch (error) {
     console.error('Get blog error:', error);
     
@@ -214,6 +412,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireVerifiedEmail('publish', req => !req.body.isDraft),
   body('title')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -222,9 +421,20 @@ router.post('/', [
     .trim()
     .isLength({ min: 50 })
     .withMessage('Content must be at least 50 characters'),
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('contentFormat must be html or markdown'),
+  body('metaDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
   body('category')
-    .isIn(['Technology', 'Startup', 'Lifestyle', 'Finance', 'Health', 'Travel', 'Food', 'Education'])
-    .withMessage('Invalid category'),
+    .trim()
+    .custom(async (name) => {
+      if (!(await Category.isAvailable(name))) throw new Error('Invalid category');
+    }),
   body('tags')
     .optional()
     .isArray()
@@ -236,12 +446,24 @@ router.post('/', [
     .withMessage('Subtitle cannot be more than 300 characters'),
   body('image')
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage('Image must be a valid URL'),
   body('isDraft')
     .optional()
     .isBoolean()
-    .withMessage('isDraft must be a boolean')
+    .withMessage('isDraft must be a boolean'),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('publishAt must be in the future'),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.publishAt || Date.now()))
+    .withMessage('unpublishAt must be after publishAt and in the future')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -254,31 +476,60 @@ router.post('/', [
       });
     }
 
-    const { title, description, category, tags, subTitle, image, isDraft } = req.body;
+    const {
+      title, description, contentFormat, metaDescription, category, tags, subTitle, image,
+      isDraft, publishAt, unpublishAt
+    } = req.body;
+
+    if (isDraft && publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'A draft cannot be scheduled for publishing'
+      });
+    }
 
     // Create blog
     const blog = new Blog({
       title,
-      description,
       category,
       tags: tags || [],
       subTitle,
       image,
       author: req.user._id,
       authorName: req.user.name,
-      isDraft: isDraft || false,
-      isPublished: !isDraft,
-      publishedAt: isDraft ? null : new Date()
+      unpublishAt: unpublishAt || null
     });
 
+    // description holds Markdown source when contentFormat is markdown
+    blog.setContent(description, contentFormat || 'html');
+
+    if (metaDescription !== undefined) {
+      blog.setMetaDescription(metaDescription);
+    }
+
+    if (isDraft) {
+      blog.saveAsDraft();
+    } else if (publishAt) {
+      blog.schedulePublish(publishAt);
+    } else {
+      blog.publishNow();
+    }
+
     await blog.save();
+
+    // Record the initial revision
+    await Revision.record(blog, req.user, Revision.TRACKED_FIELDS.filter(field => blog[field] !== undefined));
+    await uploads.syncBlogReferences(blog);
+    sitemap.invalidate();
     
     // Populate author info
     await blog.populate('author', 'name email avatar');
 
     res.status(201).json({
       success: true,
-      message: isDraft ? 'Blog saved as draft' : 'Blog published successfully',
+      message: isDraft
+        ? 'Blog saved as draft'
+        : publishAt ? 'Blog scheduled for publishing' : 'Blog published successfully',
       data: {
         blog
       }
@@ -294,10 +545,11 @@ router.post('/', [
 });
 
 // @route   PUT /api/blogs/:id
-// @desc    Update a blog
-// @access  Private (Author or Admin)
+// @desc    Update a blog (changing its publishing status needs the publish permission)
+// @access  Private (Owner, Collaborator with edit permission, or blog:manage)
 router.put('/:id', [
   auth,
+  requireVerifiedEmail('publish', req => req.body.isDraft === false || !!req.body.publishAt),
   body('title')
     .optional()
     .trim()
@@ -308,10 +560,20 @@ router.put('/:id', [
     .trim()
     .isLength({ min: 50 })
     .withMessage('Content must be at least 50 characters'),
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('contentFormat must be html or markdown'),
+  body('metaDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
   body('category')
     .optional()
-    .isIn(['Technology', 'Startup', 'Lifestyle', 'Finance', 'Health', 'Travel', 'Food', 'Education'])
-    .withMessage('Invalid category'),
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty'),
   body('tags')
     .optional()
     .isArray()
@@ -323,12 +585,24 @@ router.put('/:id', [
     .withMessage('Subtitle cannot be more than 300 characters'),
   body('image')
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage('Image must be a valid URL'),
   body('isDraft')
     .optional()
     .isBoolean()
     .withMessage('isDraft must be a boolean'),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('publishAt must be in the future'),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.publishAt || Date.now()))
+    .withMessage('unpublishAt must be after publishAt and in the future'),
   body('featured')
     .optional()
     .isBoolean()
@@ -354,41 +628,118 @@ router.put('/:id', [
       });
     }
 
-    // Check if user is author or admin
-    if (blog.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!blog.hasPermission(req.user, 'edit')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this blog'
       });
     }
 
-    const { title, description, category, tags, subTitle, image, isDraft, featured } = req.body;
+    const {
+      title, description, contentFormat, metaDescription, category, tags, subTitle, image,
+      isDraft, publishAt, unpublishAt, featured
+    } = req.body;
+
+    const changesStatus = isDraft !== undefined || publishAt !== undefined || unpublishAt !== undefined;
+    if (changesStatus && !blog.hasPermission(req.user, 'publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish or unpublish this blog'
+      });
+    }
+
+    if (isDraft && publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'A draft cannot be scheduled for publishing'
+      });
+    }
+
+    // A post switched to Markdown has no Markdown source until one is sent
+    if (contentFormat === 'markdown' && blog.contentFormat !== 'markdown' && !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide the Markdown content (description) when switching a post to Markdown'
+      });
+    }
+
+    // Posts may keep a category that has since been deactivated, but not switch to one
+    if (category && category !== blog.category && !(await Category.isAvailable(category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
+
+    // Original content, kept as the first revision of posts that have none yet
+    const baseline = Revision.snapshotOf(blog);
 
     // Update fields
     if (title) blog.title = title;
-    if (description) blog.description = description;
+    if (description) {
+      blog.setContent(description, contentFormat);
+    } else if (contentFormat) {
+      blog.contentFormat = contentFormat;
+    }
+    if (metaDescription !== undefined) blog.setMetaDescription(metaDescription);
     if (category) blog.category = category;
     if (tags) blog.tags = tags;
     if (subTitle !== undefined) blog.subTitle = subTitle;
     if (image !== undefined) blog.image = image;
     
-    // Handle draft/publish status
-    if (isDraft !== undefined) {
-      blog.isDraft = isDraft;
-      blog.isPublished = !isDraft;
-      
-      if (!isDraft && !blog.publishedAt) {
-        blog.publishedAt = new Date();
-      }
+    // Handle draft/publish/schedule status
+    if (isDraft) {
+      blog.saveAsDraft();
+    } else if (publishAt) {
+      blog.schedulePublish(publishAt);
+    } else if (isDraft === false) {
+      blog.publishNow();
+    } else if (publishAt === null && blog.publishAt) {
+      // Cancelling a schedule turns the post back into a draft
+      blog.saveAsDraft();
+    }
+
+    if (unpublishAt !== undefined) {
+      blog.unpublishAt = unpublishAt || null;
+    }
+
+    if (blog.publishAt && blog.unpublishAt && blog.unpublishAt <= blog.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'unpublishAt must be after publishAt'
+      });
     }
     
-    // Only admin can set featured
-    if (featured !== undefined && req.user.role === 'admin') {
+    // Featuring needs the blog:feature permission
+    const wasFeatured = blog.featured;
+    if (featured !== undefined && req.user.can('blog:feature')) {
       blog.featured = featured;
     }
 
+    const changedFields = Revision.changedFields(blog);
+
     await blog.save();
-    await blog.populate('author', 'name email avatar');
+
+    // Record a revision when tracked content changed
+    if (changedFields.length) {
+      await Revision.recordBaseline(blog, baseline);
+      await Revision.record(blog, req.user, changedFields);
+      await uploads.syncBlogReferences(blog);
+    }
+    sitemap.invalidate();
+
+    if (blog.featured !== wasFeatured) {
+      await audit.record(req, 'blog.feature', {
+        target: blog,
+        before: { featured: wasFeatured },
+        after: { featured: blog.featured }
+      });
+    }
+
+    await blog.populate([
+      { path: 'author', select: 'name email avatar' },
+      { path: 'coAuthors', select: 'name avatar' }
+    ]);
 
     res.json({
       success: true,
@@ -416,8 +767,8 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/blogs/:id
-// @desc    Delete a blog
-// @access  Private (Author or Admin)
+// @desc    Move a blog to the trash (purged automatically after TRASH_RETENTION_DAYS)
+// @access  Private (Owner, Collaborator with delete permission, or blog:manage)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
@@ -429,19 +780,27 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user is author or admin
-    if (blog.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!blog.hasPermission(req.user, 'delete')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this blog'
       });
     }
 
-    await Blog.findByIdAndDelete(req.params.id);
+    await trash.moveToTrash(blog, req.user);
+    sitemap.invalidate();
+
+    await audit.record(req, 'blog.delete', {
+      target: blog,
+      before: { title: blog.title, author: blog.author, slug: blog.slug }
+    });
 
     res.json({
       success: true,
-      message: 'Blog deleted successfully'
+      message: 'Blog moved to trash',
+      data: {
+        purgeAt: trash.purgeDate(new Date())
+      }
     });
 
   } catch (error) {
@@ -461,115 +820,443 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/blogs/:id/like
-// @desc    Like/Unlike a blog
-// @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+// Middleware to load a trashed blog the current user may restore or purge
+const loadTrashedBlog = async (req, res, next) => {
   try {
-    const blog = await Blog.findById(req.params.id);
+    const blog = await Blog.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
 
     if (!blog) {
       return res.status(404).json({
         success: false,
-        message: 'Blog not found'
+        message: 'Blog not found in trash'
       });
     }
 
-    if (!blog.isPublished || blog.isDraft) {
-      return res.status(404).json({
+    if (!blog.hasPermission(req.user, 'delete')) {
+      return res.status(403).json({
         success: false,
-        message: 'Blog not found'
+        message: 'Not authorized to manage this blog in the trash'
       });
     }
 
-    const existingLike = blog.likes.find(like => like.user.toString() === req.user._id.toString());
-
-    if (existingLike) {
-      // Unlike
-      await blog.removeLike(req.user._id);
-      res.json({
-        success: true,
-        message: 'Blog unliked',
-        data: {
-          liked: false,
-          likeCount: blog.likes.length
-        }
-      });
-    } else {
-      // Like
-      await blog.addLike(req.user._id);
-      res.json({
-        success: true,
-        message: 'Blog liked',
-        data: {
-          liked: true,
-          likeCount: blog.likes.length
-        }
-      });
-    }
+    req.blog = blog;
+    next();
 
   } catch (error) {
-    console.error('Like blog error:', error);
-    
     if (error.name === 'CastError') {
       return res.status(404).json({
         success: false,
-        message: 'Blog not found'
+        message: 'Blog not found in trash'
       });
     }
-    
+
+    next(error);
+  }
+};
+
+// @route   POST /api/blogs/:id/restore
+// @desc    Restore a blog from the trash
+// @access  Private (Owner, Collaborator with delete permission, or blog:manage)
+router.post('/:id/restore', auth, loadTrashedBlog, async (req, res) => {
+  try {
+    const blog = req.blog;
+
+    await trash.restore(blog);
+    sitemap.invalidate();
+
+    await audit.record(req, 'blog.restore', {
+      target: blog,
+      before: { deletedAt: blog.deletedAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Blog restored successfully'
+    });
+
+  } catch (error) {
+    console.error('Restore blog error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while processing like'
+      message: 'Server error while restoring blog'
     });
   }
 });
 
-// @route   POST /api/blogs/:id/comments
-// @desc    Add a comment to a blog
-// @access  Private
-router.post('/:id/comments', [
-  auth,
-  body('content')
-    .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Comment must be between 1 and 1000 characters')
-], async (req, res) => {
+// @route   DELETE /api/blogs/:id/permanent
+// @desc    Permanently delete a trashed blog with its likes, comments and revisions
+// @access  Private (Owner, Collaborator with delete permission, or blog:manage)
+router.delete('/:id/permanent', auth, loadTrashedBlog, async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+    const blog = req.blog;
 
-    const blog = await Blog.findById(req.params.id);
+    await trash.purge(blog._id);
 
-    if (!blog) {
-      return res.status(404).json({
+    await audit.record(req, 'blog.purge', {
+      target: blog,
+      before: { title: blog.title, author: blog.author, slug: blog.slug }
+    });
+
+    res.json({
+      success: true,
+      message: 'Blog permanently deleted'
+    });
+
+  } catch (error) {
+    console.error('Permanently delete blog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while permanently deleting blog'
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/views
+// @desc    Get daily views of a blog (from/to are days, default last 30 days)
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/:id/views', [
+  auth,
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('author collaborators views');
+
+    if (!blog) {
+      return res.status(404).json({
         success: false,
         message: 'Blog not found'
       });
     }
 
-    if (!blog.isPublished || blog.isDraft) {
+    if (!blog.hasPermission(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view statistics of this blog'
+      });
+    }
+
+    const to = views.startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+    const from = views.startOfDay(req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * DAY_MS));
+
+    if (from > to || (to - from) / DAY_MS >= VIEW_SERIES_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be between 1 and ${VIEW_SERIES_MAX_DAYS} days`
+      });
+    }
+
+    const series = await DailyView.getSeries(blog._id, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        totalViews: blog.views,
+        series
+      }
+    });
+
+  } catch (error) {
+    console.error('Get blog views error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(404).json({
         success: false,
         message: 'Blog not found'
       });
     }
 
-    const { content } = req.body;
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blog views'
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/transfer
+// @desc    Transfer ownership to an accepted collaborator (the previous owner stays on as co-author)
+// @access  Private (Owner or blog:manage)
+router.post('/:id/transfer', [
+  auth,
+  body('userId').isMongoId().withMessage('User must be a valid ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!blog.hasPermission(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to transfer this blog'
+      });
+    }
+
+    const newOwner = await User.findById(req.body.userId).select('name isActive');
+
+    if (!newOwner || !newOwner.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    blog.transferOwnership(newOwner);
+    await blog.save();
+
+    await blog.populate([
+      { path: 'author', select: 'name email avatar' },
+      { path: 'coAuthors', select: 'name avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: {
+        blog
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Transfer blog error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while transferring blog'
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/like
+// @desc    Like/Unlike a blog
+// @access  Private
+router.post('/:id/like', [auth, requireVerifiedEmail('like')], async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!blog.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    const existingLike = blog.likes.find(like => like.user.toString() === req.user._id.toString());
+
+    if (existingLike) {
+      // Unlike
+      await blog.removeLike(req.user._id);
+      events.emit('blog.unliked', { blog, user: req.user });
+      res.json({
+        success: true,
+        message: 'Blog unliked',
+        data: {
+          liked: false,
+          likeCount: blog.likes.length
+        }
+      });
+    } else {
+      // Like
+      await blog.addLike(req.user._id);
+      events.emit('blog.liked', { blog, user: req.user });
+      res.json({
+        success: true,
+        message: 'Blog liked',
+        data: {
+          liked: true,
+          likeCount: blog.likes.length
+        }
+      });
+    }
+
+  } catch (error) {
+    console.error('Like blog error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing like'
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/bookmark
+// @desc    Bookmark/Unbookmark a blog
+// @access  Private
+router.post('/:id/bookmark', auth, async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('author isPublished isDraft publishedAt unpublishAt');
+
+    if (!blog || !canViewBlog(req.user, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    const bookmarks = await ReadingList.getBookmarks(req.user._id);
+    const bookmarked = !bookmarks.removeItem(blog._id);
+
+    if (bookmarked) bookmarks.addItem(blog._id);
+    await bookmarks.save();
+
+    res.json({
+      success: true,
+      message: bookmarked ? 'Blog bookmarked' : 'Bookmark removed',
+      data: {
+        bookmarked
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Bookmark blog error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while bookmarking blog'
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/comments
+// @desc    Add a comment to a blog
+// @access  Private
+router.post('/:id/comments', [
+  auth,
+  requireVerifiedEmail('comment'),
+  body('content')
+    .trim()
+    // Length is checked on the sanitized text that is stored, which escaping can lengthen
+    .customSanitizer(sanitizeComment)
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('parentId must be a valid comment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
 
-    await blog.addComment(req.user._id, req.user.name, content);
+    if (!blog.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    const { content, parentId } = req.body;
+
+    if (parentId) {
+      const parent = blog.comments.id(parentId);
+
+      if (!parent || !parent.isApproved || parent.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+
+      if (parent.depth + 1 > COMMENT_MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${COMMENT_MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    await blog.addComment(req.user._id, req.user.name, content, parentId);
+    const comment = blog.comments[blog.comments.length - 1];
+    events.emit('comment.created', { blog, comment, user: req.user });
 
     res.status(201).json({
       success: true,
       message: 'Comment added successfully (pending approval)',
       data: {
+        comment,
         commentCount: blog.comments.length
       }
     });
@@ -591,4 +1278,206 @@ router.post('/:id/comments', [
   }
 });
 
+// @route   GET /api/blogs/:id/comments
+// @desc    Get paginated comment tree for a blog
+// @access  Public
+router.get('/:id/comments', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { sort = 'newest' } = req.query;
+
+    const blog = await Blog.findById(req.params.id)
+      .select('author isPublished isDraft publishedAt unpublishAt comments')
+      .populate('comments.user', 'name avatar');
+
+    if (!blog || !blog.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    const { comments, total } = blog.getCommentTree(req.user && req.user._id, { page, limit, sort });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalComments: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments'
+    });
+  }
+});
+
+// @route   PUT /api/blogs/:id/comments/:commentId
+// @desc    Edit own comment within the edit window
+// @access  Private (Comment author)
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('content')
+    .trim()
+    // Length is checked on the sanitized text that is stored, which escaping can lengthen
+    .customSanitizer(sanitizeComment)
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+    const comment = blog && blog.comments.id(req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    if (Date.now() - comment.createdAt.getTime() > COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({
+        success: false,
+        message: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      });
+    }
+
+    const { content } = req.body;
+    const changed = content !== comment.content;
+
+    comment.content = content;
+    comment.editedAt = new Date();
+
+    // Changed content goes back through moderation, even if it was approved
+    if (changed) {
+      comment.status = 'pending';
+      comment.isApproved = false;
+    }
+
+    await blog.save();
+
+    res.json({
+      success: true,
+      message: changed ? 'Comment updated successfully (pending approval)' : 'Comment updated successfully',
+      data: {
+        comment
+      }
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while editing comment'
+    });
+  }
+});
+
+// @route   DELETE /api/blogs/:id/comments/:commentId
+// @desc    Soft-delete own comment (replies are kept)
+// @access  Private (Comment author)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    const comment = blog && blog.comments.id(req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    blog.deleteComment(comment._id);
+    await blog.save();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete own comment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+});
+
 module.exports = router;
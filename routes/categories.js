@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const sitemap = require('../services/sitemap');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validators shared by create and update
+const categoryValidators = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('color')
+    .optional({ nullable: true })
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1a2b3c'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Icon cannot be more than 50 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer'),
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/categories
+// @desc    Get all categories, including inactive ones
+// @access  Private (category:manage)
+router.get('/', [auth, requirePermission('category:manage')], async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      Blog.aggregate([
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const postCounts = new Map(counts.map(count => [count._id, count.count]));
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map(({ __v, ...category }) => ({
+          ...category,
+          postCount: postCounts.get(category.name) || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (category:manage)
+router.post('/', [
+  auth,
+  requirePermission('category:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...categoryValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, color, icon, order, parent, isActive } = req.body;
+
+    if (parent && !(await Category.exists({ _id: parent }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent category not found'
+      });
+    }
+
+    const category = await Category.create({
+      name, description, color, icon, order, parent, isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: {
+        category
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category (renaming updates every post in it)
+// @access  Private (category:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('category:manage'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  ...categoryValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, description, color, icon, order, parent, isActive } = req.body;
+
+    if (parent) {
+      if (!(await Category.exists({ _id: parent }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+
+      if (await Category.createsCycle(category._id, parent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be nested inside itself'
+        });
+      }
+    }
+
+    const previousName = category.name;
+
+    if (name) category.name = name;
+    if (description !== undefined) category.description = description;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    if (order !== undefined) category.order = order;
+    if (parent !== undefined) category.parent = parent;
+    if (isActive !== undefined) category.isActive = isActive;
+
+    await category.save();
+
+    // Posts store the category name, so carry them over to the new one.
+    // updateMany is not soft-delete filtered, so trashed posts move too.
+    let updatedBlogs = 0;
+    if (category.name !== previousName) {
+      const result = await Blog.updateMany(
+        { category: previousName },
+        { $set: { category: category.name } }
+      );
+      updatedBlogs = result.modifiedCount;
+    }
+
+    if (updatedBlogs) sitemap.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        category,
+        updatedBlogs
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    console.error('Update category error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category, moving its posts to another category (?reassignTo=Name)
+// @access  Private (category:manage)
+router.delete('/:id', [auth, requirePermission('category:manage')], async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { reassignTo } = req.query;
+    // Trashed posts count too: they can be restored and still need a valid category
+    const postCount = await Blog.countDocuments({ category: category.name })
+      .setOptions({ withDeleted: true });
+
+    if (postCount && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `This category is used by ${postCount} post(s); choose a category to move them to`
+      });
+    }
+
+    if (postCount) {
+      if (reassignTo === category.name || !(await Category.isAvailable(reassignTo))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category to move posts to'
+        });
+      }
+
+      await Blog.updateMany({ category: category.name }, { $set: { category: reassignTo } });
+    }
+
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+    await category.deleteOne();
+
+    sitemap.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {
+        movedBlogs: postCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+});
+
+module.exports = router;
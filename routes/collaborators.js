@@ -0,0 +1,265 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const events = require('../services/events');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router({ mergeParams: true });
+
+// Middleware to load the blog, optionally checking a permission of the current user
+const loadBlog = (permission) => async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (permission && !blog.hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage collaborators of this blog'
+      });
+    }
+
+    req.blog = blog;
+    next();
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Send errors thrown by collaborator methods (with a statusCode) or a generic server error
+const handleCollaboratorError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Collaborator ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action} collaborator`
+  });
+};
+
+const permissionsField = () => [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Blog.COLLABORATOR_PERMISSIONS)
+    .withMessage(`Permissions must be ${Blog.COLLABORATOR_PERMISSIONS.join(', ')}`)
+];
+
+// @route   GET /api/blogs/:id/collaborators
+// @desc    Get the owner and collaborators (including pending invitations) of a blog
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/', auth, loadBlog('view'), async (req, res) => {
+  try {
+    await req.blog.populate([
+      { path: 'author', select: 'name avatar' },
+      { path: 'collaborators.user', select: 'name avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner: req.blog.author,
+        collaborators: req.blog.collaborators
+      }
+    });
+
+  } catch (error) {
+    handleCollaboratorError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/blogs/:id/collaborators
+// @desc    Invite a co-author or editor (permissions default by role)
+// @access  Private (Owner or blog:manage)
+router.post('/', [
+  auth,
+  loadBlog('manage'),
+  body('userId').isMongoId().withMessage('User must be a valid ID'),
+  body('role')
+    .optional()
+    .isIn(Blog.COLLABORATOR_ROLES)
+    .withMessage(`Role must be ${Blog.COLLABORATOR_ROLES.join(' or ')}`),
+  ...permissionsField()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, role = 'coauthor', permissions } = req.body;
+
+    const invitee = await User.findById(userId).select('name isActive');
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const collaborator = req.blog.inviteCollaborator(
+      invitee._id,
+      role,
+      permissions && [...new Set(permissions)],
+      req.user._id
+    );
+    await req.blog.save();
+
+    events.emit('blog.collaboratorInvited', { blog: req.blog, collaborator, inviter: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: {
+        collaborator
+      }
+    });
+
+  } catch (error) {
+    handleCollaboratorError(res, error, 'inviting');
+  }
+});
+
+// @route   POST /api/blogs/:id/collaborators/accept
+// @desc    Accept an invitation to collaborate on a blog
+// @access  Private (Invitee)
+router.post('/accept', auth, loadBlog(), async (req, res) => {
+  try {
+    const collaborator = req.blog.acceptInvitation(req.user._id);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await req.blog.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        collaborator
+      }
+    });
+
+  } catch (error) {
+    handleCollaboratorError(res, error, 'accepting');
+  }
+});
+
+// @route   PUT /api/blogs/:id/collaborators/:userId
+// @desc    Change a collaborator's role or permissions
+// @access  Private (Owner or blog:manage)
+router.put('/:userId', [
+  auth,
+  loadBlog('manage'),
+  body('role')
+    .optional()
+    .isIn(Blog.COLLABORATOR_ROLES)
+    .withMessage(`Role must be ${Blog.COLLABORATOR_ROLES.join(' or ')}`),
+  ...permissionsField()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collaborator = req.blog.getCollaborator(req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    const { role, permissions } = req.body;
+
+    if (role) collaborator.role = role;
+    if (permissions) collaborator.permissions = [...new Set(permissions)];
+
+    await req.blog.save();
+
+    res.json({
+      success: true,
+      message: 'Collaborator updated successfully',
+      data: {
+        collaborator
+      }
+    });
+
+  } catch (error) {
+    handleCollaboratorError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/blogs/:id/collaborators/:userId
+// @desc    Remove a collaborator, or leave a blog / decline an invitation (own user ID)
+// @access  Private (Owner, blog:manage or the Collaborator)
+router.delete('/:userId', auth, loadBlog(), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!isSelf && !req.blog.hasPermission(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage collaborators of this blog'
+      });
+    }
+
+    if (!req.blog.removeCollaborator(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    await req.blog.save();
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed successfully'
+    });
+
+  } catch (error) {
+    handleCollaboratorError(res, error, 'removing');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const crypto = require('crypto');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { FORMATS, toFeedItem } = require('../utils/feeds');
+const { normalizeTag } = require('../utils/tags');
+const { siteUrl, apiUrl, siteName, categoryUrl, tagUrl, authorUrl } = require('../utils/siteUrls');
+
+const router = express.Router();
+
+// Number of most recent posts included in each feed
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT) || 20;
+
+// Build and send a feed, answering conditional requests with 304
+const sendFeed = async (req, res, { format, query, title, description, link }) => {
+  const blogs = await query
+    .select('-comments -likes -collaborators')
+    .limit(FEED_ITEM_LIMIT)
+    .lean();
+
+  const lastModified = blogs.reduce((latest, blog) => {
+    const updated = new Date(blog.updatedAt || blog.publishedAt);
+    return updated > latest ? updated : latest;
+  }, new Date(0));
+
+  const etag = crypto
+    .createHash('sha1')
+    .update(format + blogs.map(blog => `${blog._id}:${new Date(blog.updatedAt).getTime()}`).join(','))
+    .digest('hex');
+
+  res.set({
+    'Content-Type': FORMATS[format].contentType,
+    'Cache-Control': 'public, max-age=300',
+    ETag: `W/"${etag}"`
+  });
+  if (blogs.length) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feed = {
+    title,
+    description,
+    siteUrl: link,
+    // From configuration rather than the Host header, which clients control
+    feedUrl: `${apiUrl()}${req.originalUrl.split('?')[0]}`,
+    updated: blogs.length ? lastModified : new Date(),
+    items: blogs.map(toFeedItem)
+  };
+
+  res.send(FORMATS[format].build(feed));
+};
+
+// Handle feed errors consistently
+const handleFeedError = (res, error) => {
+  console.error('Feed error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error while generating feed'
+  });
+};
+
+// @route   GET /api/feeds/:format
+// @desc    Site-wide feed (format: rss, atom or json)
+// @access  Public
+router.get('/:format(rss|atom|json)', async (req, res) => {
+  try {
+    await sendFeed(req, res, {
+      format: req.params.format,
+      query: Blog.getPublished(),
+      title: siteName(),
+      description: `Latest posts from ${siteName()}`,
+      link: siteUrl()
+    });
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+});
+
+// @route   GET /api/feeds/category/:category/:format
+// @desc    Feed of a single category
+// @access  Public
+router.get('/category/:category/:format(rss|atom|json)', async (req, res) => {
+  try {
+    const { category, format } = req.params;
+
+    await sendFeed(req, res, {
+      format,
+      query: Blog.getByCategory(category),
+      title: `${category} — ${siteName()}`,
+      description: `Latest ${category} posts from ${siteName()}`,
+      link: categoryUrl(category)
+    });
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+});
+
+// @route   GET /api/feeds/tag/:tag/:format
+// @desc    Feed of a single tag
+// @access  Public
+router.get('/tag/:tag/:format(rss|atom|json)', async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    await sendFeed(req, res, {
+      format: req.params.format,
+      query: Blog.getPublished().where({ tags: tag }),
+      title: `#${tag} — ${siteName()}`,
+      description: `Latest posts tagged "${tag}" on ${siteName()}`,
+      link: tagUrl(tag)
+    });
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+});
+
+// @route   GET /api/feeds/author/:id/:format
+// @desc    Feed of a single author's posts, including those they co-authored
+// @access  Public
+router.get('/author/:id/:format(rss|atom|json)', async (req, res) => {
+  try {
+    const author = await User.findById(req.params.id).select('name isActive');
+
+    if (!author || !author.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await sendFeed(req, res, {
+      format: req.params.format,
+      query: Blog.getPublished().where(Blog.creditedQuery(author._id)),
+      title: `${author.name} — ${siteName()}`,
+      description: `Latest posts by ${author.name} on ${siteName()}`,
+      link: authorUrl(author._id)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    handleFeedError(res, error);
+  }
+});
+
+module.exports = router;
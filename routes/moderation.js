@@ -0,0 +1,288 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const { auth } = require('../middleware/auth');
+const events = require('../services/events');
+
+const router = express.Router();
+
+// Authors may moderate comments on their own posts when enabled
+const authorModerationEnabled = () => process.env.ALLOW_AUTHOR_MODERATION === 'true';
+
+// Middleware to check if user can moderate comments
+const canModerate = (req, res, next) => {
+  if (req.user.can('comment:moderate') || authorModerationEnabled()) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Access denied. Moderator privileges required.'
+  });
+};
+
+// Check whether the current user may moderate comments on a given blog
+const canModerateBlog = (user, blog) => {
+  return user.can('comment:moderate') || blog.author.toString() === user._id.toString();
+};
+
+// @route   GET /api/moderation/comments
+// @desc    Get comment moderation queue across all blogs
+// @access  Private (comment:moderate, or Author for own blogs when enabled)
+router.get('/comments', [
+  auth,
+  canModerate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'all']).withMessage('Status must be pending, approved, rejected, or all'),
+  query('blog').optional().isMongoId().withMessage('Blog must be a valid ID'),
+  query('user').optional().isMongoId().withMessage('User must be a valid ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, blog, user, from, to, sort } = req.query;
+
+    const filters = { status, blogId: blog, userId: user, from, to, sort };
+
+    // Users without comment:moderate only see comments on their own blogs
+    if (!req.user.can('comment:moderate')) {
+      filters.authorId = req.user._id.toString();
+    }
+
+    const { comments, total } = await Blog.getModerationQueue(filters, page, limit);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalComments: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// @route   POST /api/moderation/comments/bulk
+// @desc    Approve, reject or delete several comments at once
+// @access  Private (comment:moderate, or Author for own blogs when enabled)
+router.post('/comments/bulk', [
+  auth,
+  canModerate,
+  body('action')
+    .isIn(['approve', 'reject', 'delete'])
+    .withMessage('Action must be approve, reject, or delete'),
+  body('commentIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('commentIds must be an array of 1 to 100 IDs'),
+  body('commentIds.*')
+    .isMongoId()
+    .withMessage('Each comment ID must be valid'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, reason } = req.body;
+    const commentIds = [...new Set(req.body.commentIds)];
+
+    const blogs = await Blog.find({
+      'comments._id': { $in: commentIds.map(id => new mongoose.Types.ObjectId(id)) }
+    });
+
+    const processed = [];
+    const skipped = [];
+    const moderated = [];
+
+    for (const blog of blogs) {
+      if (!canModerateBlog(req.user, blog)) {
+        continue;
+      }
+
+      for (const commentId of commentIds) {
+        const comment = blog.comments.id(commentId);
+        if (!comment) continue;
+
+        if (action === 'delete') {
+          // Replies keep their place under the deleted comment's placeholder
+          blog.deleteComment(commentId);
+        } else {
+          const previousStatus = comment.status;
+          blog.moderateComment(commentId, action, req.user._id, reason);
+          moderated.push({ blog, comment, previousStatus });
+        }
+        processed.push(commentId);
+      }
+
+      await blog.save();
+    }
+
+    moderated.forEach(({ blog, comment, previousStatus }) => {
+      events.emit('comment.moderated', { blog, comment, previousStatus, moderator: req.user });
+    });
+
+    commentIds.forEach(id => {
+      if (!processed.includes(id)) skipped.push(id);
+    });
+
+    res.json({
+      success: true,
+      message: `${processed.length} comment(s) processed`,
+      data: {
+        processed,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk moderation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating comments'
+    });
+  }
+});
+
+// @route   PUT /api/moderation/comments/:commentId/(approve|reject)
+// @desc    Approve a comment, or reject it with an optional reason
+// @access  Private (comment:moderate, or Author for own blogs when enabled)
+router.put('/comments/:commentId/:action(approve|reject)', [
+  auth,
+  canModerate,
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { commentId, action } = req.params;
+    const blog = await Blog.findOne({ 'comments._id': commentId });
+
+    if (!blog || !canModerateBlog(req.user, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const previousStatus = blog.comments.id(commentId).status;
+    const comment = blog.moderateComment(commentId, action, req.user._id, req.body.reason);
+    await blog.save();
+
+    events.emit('comment.moderated', { blog, comment, previousStatus, moderator: req.user });
+
+    res.json({
+      success: true,
+      message: `Comment ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
+      data: {
+        comment
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating comment'
+    });
+  }
+});
+
+// @route   DELETE /api/moderation/comments/:commentId
+// @desc    Soft-delete a comment (replies are kept)
+// @access  Private (comment:moderate, or Author for own blogs when enabled)
+router.delete('/comments/:commentId', [
+  auth,
+  canModerate,
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findOne({ 'comments._id': req.params.commentId });
+
+    if (!blog || !canModerateBlog(req.user, blog)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Replies keep their place under the deleted comment's placeholder
+    blog.deleteComment(req.params.commentId);
+    await blog.save();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+});
+
+module.exports = router;
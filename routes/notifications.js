@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { describe } = require('../services/notifications');
+
+const router = express.Router();
+
+// Number of actors returned with each notification
+const ACTORS_SHOWN = 3;
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications (most recent activity first)
+// @access  Private
+router.get('/', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('unread').optional().isBoolean().withMessage('Unread must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .slice('actors', ACTORS_SHOWN)
+        .populate('actors', 'name avatar')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false })
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => ({
+          ...notification.toJSON(),
+          message: describe(notification)
+        })),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      preferences: req.user.notificationPreferences
+    }
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn notification types on or off
+// @access  Private
+router.put('/preferences', [
+  auth,
+  ...Notification.NOTIFICATION_TYPES.map(type => body(type)
+    .optional()
+    .isBoolean()
+    .withMessage(`${type} must be a boolean`))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    Notification.NOTIFICATION_TYPES.forEach(type => {
+      if (req.body[type] !== undefined) {
+        req.user.notificationPreferences[type] = req.body[type];
+      }
+    });
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences: req.user.notificationPreferences
+      }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,487 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const ReadingList = require('../models/ReadingList');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Blog fields shown for each list item
+const ITEM_BLOG_FIELDS = 'title subTitle slug image category tags excerpt readTime author authorName publishedAt';
+
+// Middleware to load a list owned by the current user
+const loadOwnList = async (req, res, next) => {
+  try {
+    const list = await ReadingList.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    req.list = list;
+    next();
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Summarize lists without their items
+const toSummary = (list) => {
+  const { items, __v, ...summary } = list;
+  return { ...summary, itemCount: items.length };
+};
+
+// Send errors thrown by list methods (with a statusCode) or a generic server error
+const handleListError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Reading list ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action} reading list`
+  });
+};
+
+// @route   GET /api/reading-lists
+// @desc    Get current user's reading lists (bookmarks first)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    await ReadingList.getBookmarks(req.user._id);
+
+    const lists = await ReadingList.find({ owner: req.user._id })
+      .sort({ isDefault: -1, updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        lists: lists.map(toSummary)
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/reading-lists
+// @desc    Create a reading list
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const count = await ReadingList.countDocuments({ owner: req.user._id, isDefault: false });
+
+    if (count >= ReadingList.READING_LIST_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${ReadingList.READING_LIST_LIMIT} reading lists`
+      });
+    }
+
+    const { name, description, isPublic } = req.body;
+    const list = await ReadingList.create({ owner: req.user._id, name, description, isPublic });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reading list created successfully',
+      data: {
+        list
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'creating');
+  }
+});
+
+// @route   GET /api/reading-lists/user/:userId
+// @desc    Get a user's public reading lists
+// @access  Public
+router.get('/user/:userId', async (req, res) => {
+  try {
+    const lists = await ReadingList.find({ owner: req.params.userId, isPublic: true })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        lists: lists.map(toSummary)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    handleListError(res, error, 'fetching');
+  }
+});
+
+// @route   GET /api/reading-lists/:id
+// @desc    Get a reading list with its posts (public lists can be shared)
+// @access  Public (Public lists) / Private (Owner)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const list = await ReadingList.findById(req.params.id)
+      .populate('owner', 'name avatar isActive');
+
+    const isOwner = !!list && !!req.user && list.owner._id.toString() === req.user._id.toString();
+
+    if (!list || (!isOwner && (!list.isPublic || !list.owner.isActive))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    // Only posts that are still published can be shown
+    const blogs = await Blog.find({
+      ...Blog.publishedQuery(),
+      _id: { $in: list.items.map(item => item.blog) }
+    })
+    .select(ITEM_BLOG_FIELDS)
+    .lean();
+    const blogsById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+
+    // Posts that were deleted or unpublished stay in the list as placeholders for
+    // the owner (so notes are not lost) and are hidden from everyone else
+    const items = list.items
+      .map(item => {
+        const blog = blogsById.get(item.blog.toString()) || null;
+
+        return {
+          _id: item._id,
+          blogId: item.blog,
+          blog,
+          note: item.note,
+          addedAt: item.addedAt,
+          unavailable: !blog
+        };
+      })
+      .filter(item => isOwner || !item.unavailable);
+
+    const { owner, name, description, isPublic, isDefault, createdAt, updatedAt } = list;
+
+    res.json({
+      success: true,
+      data: {
+        list: {
+          _id: list._id,
+          owner: { _id: owner._id, name: owner.name, avatar: owner.avatar },
+          name,
+          description,
+          isPublic,
+          isDefault,
+          createdAt,
+          updatedAt,
+          items
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    handleListError(res, error, 'fetching');
+  }
+});
+
+// @route   PUT /api/reading-lists/:id
+// @desc    Update a reading list's details
+// @access  Private (Owner)
+router.put('/:id', [
+  auth,
+  loadOwnList,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { list } = req;
+    const { name, description, isPublic } = req.body;
+
+    if (name) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (isPublic !== undefined) list.isPublic = isPublic;
+
+    await list.save();
+
+    res.json({
+      success: true,
+      message: 'Reading list updated successfully',
+      data: {
+        list
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/reading-lists/:id
+// @desc    Delete a reading list (bookmarks cannot be deleted)
+// @access  Private (Owner)
+router.delete('/:id', [auth, loadOwnList], async (req, res) => {
+  try {
+    if (req.list.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bookmarks cannot be deleted'
+      });
+    }
+
+    await req.list.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reading list deleted successfully'
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'deleting');
+  }
+});
+
+// @route   POST /api/reading-lists/:id/items
+// @desc    Add a blog to a reading list
+// @access  Private (Owner)
+router.post('/:id/items', [
+  auth,
+  loadOwnList,
+  body('blogId')
+    .isMongoId()
+    .withMessage('Blog ID must be valid'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.body.blogId).select('isPublished isDraft publishedAt unpublishAt');
+
+    if (!blog || !blog.isLive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!req.list.addItem(blog._id, req.body.note)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blog is already in this list'
+      });
+    }
+
+    await req.list.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Blog added to reading list',
+      data: {
+        item: req.list.findItem(blog._id)
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'updating');
+  }
+});
+
+// @route   PUT /api/reading-lists/:id/items/order
+// @desc    Reorder a reading list (blogIds lists every post in the new order)
+// @access  Private (Owner)
+router.put('/:id/items/order', [
+  auth,
+  loadOwnList,
+  body('blogIds')
+    .isArray()
+    .withMessage('blogIds must be an array'),
+  body('blogIds.*')
+    .isMongoId()
+    .withMessage('Each blog ID must be valid')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.list.reorder(req.body.blogIds);
+    await req.list.save();
+
+    res.json({
+      success: true,
+      message: 'Reading list reordered successfully',
+      data: {
+        items: req.list.items
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'reordering');
+  }
+});
+
+// @route   PUT /api/reading-lists/:id/items/:blogId
+// @desc    Update the note on a reading list item
+// @access  Private (Owner)
+router.put('/:id/items/:blogId', [
+  auth,
+  loadOwnList,
+  body('note')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = req.list.findItem(req.params.blogId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog is not in this list'
+      });
+    }
+
+    item.note = req.body.note;
+    await req.list.save();
+
+    res.json({
+      success: true,
+      message: 'Note updated successfully',
+      data: {
+        item
+      }
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/reading-lists/:id/items/:blogId
+// @desc    Remove a blog from a reading list (works for deleted or unpublished posts too)
+// @access  Private (Owner)
+router.delete('/:id/items/:blogId', [auth, loadOwnList], async (req, res) => {
+  try {
+    if (!req.list.removeItem(req.params.blogId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog is not in this list'
+      });
+    }
+
+    await req.list.save();
+
+    res.json({
+      success: true,
+      message: 'Blog removed from reading list'
+    });
+
+  } catch (error) {
+    handleListError(res, error, 'updating');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const { isDeepStrictEqual } = require('util');
+const { query, validationResult } = require('express-validator');
+const Diff = require('diff');
+const Blog = require('../models/Blog');
+const Revision = require('../models/Revision');
+const Category = require('../models/Category');
+const sitemap = require('../services/sitemap');
+const uploads = require('../services/uploads');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router({ mergeParams: true });
+
+// Middleware to load the blog and check if user is its owner, a collaborator or admin
+const loadBlog = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!blog.hasPermission(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view revisions of this blog'
+      });
+    }
+
+    req.blog = blog;
+    next();
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// @route   GET /api/blogs/:id/revisions
+// @desc    Get revision history of a blog
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/', [
+  auth,
+  loadBlog,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await Revision.find({ blog: req.blog._id })
+      .select('-snapshot.description')
+      .sort({ revisionNumber: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Revision.countDocuments({ blog: req.blog._id });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRevisions: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/revisions/diff
+// @desc    Diff the content between two revisions (defaults to latest vs previous)
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/diff', [
+  auth,
+  loadBlog,
+  query('from').optional().isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number'),
+  query('mode').optional().isIn(['words', 'lines']).withMessage('Mode must be words or lines'),
+  query('field').optional().isIn(['description', 'markdownSource']).withMessage('Field must be description or markdownSource')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mode = 'words', field = 'description' } = req.query;
+
+    let to = parseInt(req.query.to);
+    if (!to) {
+      const latest = await Revision.findOne({ blog: req.blog._id }).sort({ revisionNumber: -1 });
+      to = latest ? latest.revisionNumber : 0;
+    }
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      Revision.findOne({ blog: req.blog._id, revisionNumber: from }),
+      Revision.findOne({ blog: req.blog._id, revisionNumber: to })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const diffFn = mode === 'lines' ? Diff.diffLines : Diff.diffWords;
+    const changes = diffFn(fromRevision.snapshot[field] || '', toRevision.snapshot[field] || '')
+      .map(part => ({
+        value: part.value,
+        added: !!part.added,
+        removed: !!part.removed
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revisionNumber,
+        to: toRevision.revisionNumber,
+        field,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing revisions'
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/revisions/:revisionNumber
+// @desc    Get a single revision
+// @access  Private (Owner, Collaborator or blog:manage)
+router.get('/:revisionNumber(\\d+)', auth, loadBlog, async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      blog: req.blog._id,
+      revisionNumber: parseInt(req.params.revisionNumber)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revision
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/revisions/:revisionNumber/restore
+// @desc    Restore an older revision (recorded as a new revision)
+// @access  Private (Owner, Collaborator with edit permission, or blog:manage)
+router.post('/:revisionNumber(\\d+)/restore', auth, loadBlog, async (req, res) => {
+  try {
+    if (!req.blog.hasPermission(req.user, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore revisions of this blog'
+      });
+    }
+
+    const revision = await Revision.findOne({
+      blog: req.blog._id,
+      revisionNumber: parseInt(req.params.revisionNumber)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const blog = req.blog;
+    Revision.TRACKED_FIELDS.forEach(field => {
+      const value = revision.snapshot[field];
+      if (value === undefined) return;
+
+      // Assigning an array always marks it modified, so tags are compared by value
+      if (Array.isArray(value) && isDeepStrictEqual([...value], [...(blog[field] || [])])) return;
+
+      blog[field] = value;
+    });
+
+    // The snapshot's category may have been deleted or deactivated since
+    if (blog.isModified('category') && !(await Category.isAvailable(blog.category))) {
+      return res.status(400).json({
+        success: false,
+        message: `Category "${blog.category}" is no longer available; change the post's category instead`
+      });
+    }
+
+    const changedFields = Revision.changedFields(blog);
+
+    if (!changedFields.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blog already matches this revision'
+      });
+    }
+
+    await blog.save();
+    const newRevision = await Revision.record(blog, req.user, changedFields, revision.revisionNumber);
+    await uploads.syncBlogReferences(blog);
+    sitemap.invalidate();
+    await blog.populate('author', 'name email avatar');
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.revisionNumber} restored successfully`,
+      data: {
+        blog,
+        revision: newRevision
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const audit = require('../services/audit');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole, hasPermissions } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Shared validators for create and update
+const roleValidators = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be among ${PERMISSIONS.join(', ')}`)
+];
+
+// Roles may not grant permissions their creator does not hold,
+// otherwise anyone with role:manage could raise their own role
+const grantsOnlyOwnPermissions = async (user, permissions) => {
+  return hasPermissions(await user.loadPermissions(), permissions);
+};
+
+// @route   GET /api/roles
+// @desc    Get built-in and custom roles with their permissions and user counts
+// @access  Private (role:manage)
+router.get('/', [auth, requirePermission('role:manage')], async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }).select('-__v').lean(),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const userCounts = new Map(counts.map(count => [count._id, count.count]));
+
+    const builtInRoles = Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+      name,
+      permissions,
+      isBuiltIn: true
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        roles: [...builtInRoles, ...roles.map(role => ({ ...role, isBuiltIn: false }))]
+          .map(role => ({ ...role, userCount: userCounts.get(role.name) || 0 })),
+        permissions: PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (role:manage)
+router.post('/', [
+  auth,
+  requirePermission('role:manage'),
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{0,29}$/)
+    .withMessage('Name must start with a letter and contain at most 30 letters, numbers and hyphens')
+    .not()
+    .custom(isBuiltInRole)
+    .withMessage('Name is reserved for a built-in role'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  ...roleValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    if (!(await grantsOnlyOwnPermissions(req.user, permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.user._id
+    });
+
+    await audit.record(req, 'role.create', { target: role, after: { permissions: role.permissions } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating role'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a custom role (built-in roles cannot be changed)
+// @access  Private (role:manage)
+router.put('/:name', [
+  auth,
+  requirePermission('role:manage'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  ...roleValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const name = req.params.name.toLowerCase();
+
+    if (isBuiltInRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    const role = await Role.findOne({ name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { description, permissions } = req.body;
+    const before = { description: role.description, permissions: [...role.permissions] };
+
+    if (description !== undefined) role.description = description;
+
+    if (permissions) {
+      const uniquePermissions = [...new Set(permissions)];
+
+      if (!(await grantsOnlyOwnPermissions(req.user, uniquePermissions))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+
+      role.permissions = uniquePermissions;
+    }
+
+    await role.save();
+
+    await audit.record(req, 'role.update', {
+      target: role,
+      before,
+      after: { description: role.description, permissions: [...role.permissions] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role, moving its users to another role (?reassignTo=name)
+// @access  Private (role:manage)
+router.delete('/:name', [auth, requirePermission('role:manage')], async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (isBuiltInRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const role = await Role.findOne({ name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { reassignTo } = req.query;
+    const userCount = await User.countDocuments({ role: role.name });
+
+    if (userCount && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `This role is assigned to ${userCount} user(s); choose a role to move them to`
+      });
+    }
+
+    if (userCount) {
+      if (reassignTo === role.name || !(await Role.isAvailable(reassignTo))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role to move users to'
+        });
+      }
+
+      if (!(await grantsOnlyOwnPermissions(req.user, await Role.getPermissions(reassignTo)))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+
+      await User.updateMany({ role: role.name }, { $set: { role: reassignTo } });
+    }
+
+    await role.deleteOne();
+
+    await audit.record(req, 'role.delete', {
+      target: role,
+      before: { permissions: [...role.permissions] },
+      metadata: userCount ? { reassignTo, movedUsers: userCount } : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: {
+        movedUsers: userCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const { extractTerms, highlight } = require('../utils/search');
+const { stripHtml } = require('../utils/text');
+const { normalizeTag } = require('../utils/tags');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Relevance-ranked search of published blogs with highlighting and facets
+// @access  Public
+router.get('/', [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('category').optional().trim(),
+  query('tag').optional().customSanitizer(normalizeTag),
+  query('author').optional().isMongoId().withMessage('Author must be a valid ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { q, category, tag, author } = req.query;
+
+    const { blogs, total, facets } = await Blog.search(q, { category, tag, author }, page, limit);
+    const totalPages = Math.ceil(total / limit);
+
+    // Add highlighted title and body snippet to each result
+    const terms = extractTerms(q);
+    const results = blogs.map(blog => {
+      const { description, ...rest } = blog;
+
+      return {
+        ...rest,
+        highlights: {
+          title: highlight(blog.title, terms, 200),
+          snippet: highlight(stripHtml(description), terms, 200)
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        blogs: results,
+        facets,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBlogs: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching blogs'
+    });
+  }
+});
+
+module.exports = router;
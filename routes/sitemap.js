@@ -0,0 +1,62 @@
+const express = require('express');
+const sitemap = require('../services/sitemap');
+const { apiUrl } = require('../utils/siteUrls');
+
+const router = express.Router();
+
+// Base URL the sitemap files themselves are served from. Always configured: the
+// cached sitemap must not take its links from a client-controlled Host header.
+const sitemapBaseUrl = () => (process.env.SITEMAP_BASE_URL || apiUrl()).replace(/\/+$/, '');
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap of published content (a sitemap index once split into pages)
+// @access  Public
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const xml = await sitemap.getSitemap(sitemapBaseUrl());
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.send(xml);
+
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+});
+
+// @route   GET /sitemap-:page.xml
+// @desc    A single page of a split sitemap
+// @access  Public
+router.get('/sitemap-:page(\\d+).xml', async (req, res) => {
+  try {
+    const xml = await sitemap.getSitemapPage(parseInt(req.params.page));
+
+    if (!xml) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.send(xml);
+
+  } catch (error) {
+    console.error('Get sitemap page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,551 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Blog = require('../models/Blog');
+const TagAlias = require('../models/TagAlias');
+const Follow = require('../models/Follow');
+const sitemap = require('../services/sitemap');
+const { normalizeTag, normalizeTags, MAX_TAG_LENGTH } = require('../utils/tags');
+const { escapeRegex } = require('../utils/search');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validate a tag field and normalize it
+const tagField = (field, label) => body(field)
+  .customSanitizer(normalizeTag)
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`${label} must be between 1 and ${MAX_TAG_LENGTH} characters`);
+
+// Run the writes of an alias, rename or merge in one transaction, so a failure
+// partway through cannot leave posts, follows and aliases half-renamed.
+// Transactions need a replica set or mongos; on a standalone mongod the writes
+// run in order without one instead.
+const inTransaction = async (writes) => {
+  let result;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await writes(session);
+    });
+  } catch (error) {
+    // IllegalOperation: the first write is rejected, so nothing was applied yet
+    if (error.code !== 20 || !/Transaction numbers/.test(error.message)) throw error;
+
+    console.warn('MongoDB does not support transactions here; running tag writes without one');
+    result = await writes(null);
+  }
+
+  return result;
+};
+
+// @route   GET /api/tags
+// @desc    Get tags with usage counts across published blogs (tag cloud)
+// @access  Public
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('minCount').optional().isInt({ min: 1 }).withMessage('Minimum count must be a positive integer'),
+  query('sort').optional().isIn(['count', 'name']).withMessage('Sort must be count or name')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tags = await Blog.getTagCounts({
+      limit: parseInt(req.query.limit) || 100,
+      minCount: parseInt(req.query.minCount) || 1,
+      sort: req.query.sort
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// @route   GET /api/tags/autocomplete
+// @desc    Suggest existing tags starting with the given prefix
+// @access  Public
+router.get('/autocomplete', [
+  query('q')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1 })
+    .withMessage('Query is required'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const prefix = req.query.q;
+
+    const [tags, aliases] = await Promise.all([
+      Blog.getTagCounts({ prefix, limit }),
+      TagAlias.find({ alias: { $regex: `^${escapeRegex(prefix)}` } })
+        .limit(limit)
+        .lean()
+    ]);
+
+    // Offer canonical tags for matching aliases the editor would otherwise miss
+    const suggestions = tags.map(({ tag, count }) => ({ tag, count }));
+    aliases.forEach(({ alias, tag }) => {
+      if (!suggestions.some(suggestion => suggestion.tag === tag)) {
+        suggestions.push({ tag, count: 0, matchedAlias: alias });
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        suggestions: suggestions.slice(0, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Tag autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tag suggestions'
+    });
+  }
+});
+
+// @route   GET /api/tags/aliases
+// @desc    Get all tag aliases
+// @access  Private (tag:manage)
+router.get('/aliases', [auth, requirePermission('tag:manage')], async (req, res) => {
+  try {
+    const aliases = await TagAlias.find()
+      .populate('createdBy', 'name')
+      .sort({ tag: 1, alias: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        aliases
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tag aliases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tag aliases'
+    });
+  }
+});
+
+// @route   POST /api/tags/aliases
+// @desc    Make a tag an alias of another, rewriting existing posts
+// @access  Private (tag:manage)
+router.post('/aliases', [
+  auth,
+  requirePermission('tag:manage'),
+  tagField('alias', 'Alias'),
+  tagField('tag', 'Tag')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { alias, tag } = req.body;
+
+    if (alias === tag) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag cannot be an alias of itself'
+      });
+    }
+
+    // Point at the final canonical tag so aliases never chain
+    const [canonical] = await TagAlias.resolve([tag]);
+
+    if (canonical === alias) {
+      return res.status(400).json({
+        success: false,
+        message: 'This alias would create a cycle'
+      });
+    }
+
+    if (await TagAlias.exists({ alias })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This alias already exists'
+      });
+    }
+
+    const [tagAlias, updatedBlogs] = await inTransaction(async (session) => {
+      const [created] = await TagAlias.create([{ alias, tag: canonical, createdBy: req.user._id }], { session });
+
+      // Aliases that pointed at the new alias now point at its canonical tag
+      await TagAlias.updateMany({ tag: alias }, { $set: { tag: canonical } }, { session });
+      const modified = await Blog.replaceTags([alias], canonical, session);
+      await Follow.replaceTags([alias], canonical, session);
+
+      return [created, modified];
+    });
+
+    if (updatedBlogs) sitemap.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag alias created successfully',
+      data: {
+        alias: tagAlias,
+        updatedBlogs
+      }
+    });
+
+  } catch (error) {
+    console.error('Create tag alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tag alias'
+    });
+  }
+});
+
+// @route   DELETE /api/tags/aliases/:alias
+// @desc    Remove a tag alias (posts keep the canonical tag)
+// @access  Private (tag:manage)
+router.delete('/aliases/:alias', [auth, requirePermission('tag:manage')], async (req, res) => {
+  try {
+    const tagAlias = await TagAlias.findOneAndDelete({ alias: normalizeTag(req.params.alias) });
+
+    if (!tagAlias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag alias not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag alias deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete tag alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tag alias'
+    });
+  }
+});
+
+// @route   POST /api/tags/rename
+// @desc    Rename a tag across all posts (merges if the new name is already used)
+// @access  Private (tag:manage)
+router.post('/rename', [
+  auth,
+  requirePermission('tag:manage'),
+  tagField('from', 'Current tag'),
+  tagField('to', 'New tag'),
+  body('createAlias').optional().isBoolean().withMessage('Create alias must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.body;
+
+    if (from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new tag must be different from the current tag'
+      });
+    }
+
+    if (await TagAlias.exists({ alias: to })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new tag is an alias of another tag'
+      });
+    }
+
+    const updatedBlogs = await inTransaction(async (session) => {
+      const modified = await Blog.replaceTags([from], to, session);
+      await Follow.replaceTags([from], to, session);
+      await TagAlias.updateMany({ tag: from }, { $set: { tag: to } }, { session });
+
+      // Keep old links and editor habits working
+      if (req.body.createAlias) {
+        await TagAlias.updateOne(
+          { alias: from },
+          { $set: { tag: to }, $setOnInsert: { createdBy: req.user._id } },
+          { upsert: true, session }
+        );
+      }
+
+      return modified;
+    });
+
+    if (updatedBlogs) sitemap.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully',
+      data: {
+        from,
+        to,
+        updatedBlogs
+      }
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming tag'
+    });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge several tags into one across all posts, aliasing the merged tags
+// @access  Private (tag:manage)
+router.post('/merge', [
+  auth,
+  requirePermission('tag:manage'),
+  body('sources')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sources must be an array of 1 to 50 tags'),
+  body('sources.*')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each source tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+  tagField('target', 'Target tag'),
+  body('createAliases').optional().isBoolean().withMessage('Create aliases must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { target } = req.body;
+    const sources = normalizeTags(req.body.sources).filter(tag => tag !== target);
+
+    if (!sources.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one tag other than the target'
+      });
+    }
+
+    if (await TagAlias.exists({ alias: target })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The target tag is an alias of another tag'
+      });
+    }
+
+    const updatedBlogs = await inTransaction(async (session) => {
+      const modified = await Blog.replaceTags(sources, target, session);
+      await Follow.replaceTags(sources, target, session);
+      await TagAlias.updateMany({ tag: { $in: sources } }, { $set: { tag: target } }, { session });
+
+      if (req.body.createAliases !== false) {
+        await TagAlias.bulkWrite(sources.map(alias => ({
+          updateOne: {
+            filter: { alias },
+            update: { $set: { tag: target }, $setOnInsert: { createdBy: req.user._id } },
+            upsert: true
+          }
+        })), { session });
+      }
+
+      return modified;
+    });
+
+    if (updatedBlogs) sitemap.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Tags merged successfully',
+      data: {
+        sources,
+        target,
+        updatedBlogs
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging tags'
+    });
+  }
+});
+
+// @route   POST /api/tags/:tag/follow
+// @desc    Follow a tag (aliases follow their canonical tag)
+// @access  Private
+router.post('/:tag/follow', auth, async (req, res) => {
+  try {
+    const [tag] = await TagAlias.resolve([normalizeTag(req.params.tag)]);
+
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag'
+      });
+    }
+
+    const created = await Follow.add(req.user._id, 'tag', tag);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Tag followed successfully' : 'Tag already followed',
+      data: {
+        tag
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Follow tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while following tag'
+    });
+  }
+});
+
+// @route   DELETE /api/tags/:tag/follow
+// @desc    Unfollow a tag
+// @access  Private
+router.delete('/:tag/follow', auth, async (req, res) => {
+  try {
+    const [tag] = await TagAlias.resolve([normalizeTag(req.params.tag)]);
+
+    await Follow.deleteOne({ follower: req.user._id, kind: 'tag', tag });
+
+    res.json({
+      success: true,
+      message: 'Tag unfollowed successfully'
+    });
+
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unfollowing tag'
+    });
+  }
+});
+
+// @route   GET /api/tags/:tag/blogs
+// @desc    Get published blogs with a tag (aliases resolve to their canonical tag)
+// @access  Public
+router.get('/:tag/blogs', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const [tag] = await TagAlias.resolve([normalizeTag(req.params.tag)]);
+    const filter = { ...Blog.publishedQuery(), tags: tag };
+
+    const [blogs, total] = await Promise.all([
+      Blog.find(filter)
+        .populate('author', 'name email avatar')
+        .populate('coAuthors', 'name avatar')
+        .select('-comments -collaborators')
+        .sort({ publishedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Blog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        tag,
+        blogs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBlogs: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tag blogs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tag blogs'
+    });
+  }
+});
+
+module.exports = router;
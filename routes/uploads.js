@@ -0,0 +1,191 @@
+const express = require('express');
+const multer = require('multer');
+const { query, validationResult } = require('express-validator');
+const Upload = require('../models/Upload');
+const { auth } = require('../middleware/auth');
+const uploads = require('../services/uploads');
+
+const router = express.Router();
+
+// Maximum size of a single uploaded file
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 }
+});
+
+// Middleware to parse a single "file" field, turning multer errors into JSON responses
+const parseFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File cannot be larger than ${Math.floor(UPLOAD_MAX_BYTES / 1024 / 1024)} MB`
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+// @route   POST /api/uploads
+// @desc    Upload an image (multipart field "file", kind: cover, inline or avatar)
+// @access  Private
+router.post('/', [auth, parseFile], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const kind = req.body.kind || 'inline';
+
+    if (!['cover', 'inline', 'avatar'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kind must be cover, inline, or avatar'
+      });
+    }
+
+    const stored = await uploads.storeUpload(req.user, req.file, kind);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        upload: stored
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading file'
+    });
+  }
+});
+
+// @route   GET /api/uploads
+// @desc    Get current user's uploads and quota usage
+// @access  Private
+router.get('/', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('kind').optional().isIn(['cover', 'inline', 'avatar']).withMessage('Kind must be cover, inline, or avatar')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { owner: req.user._id };
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const [files, total, usage] = await Promise.all([
+      Upload.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Upload.countDocuments(filter),
+      Upload.getUsage(req.user._id)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        uploads: files,
+        usage: {
+          bytes: usage.bytes,
+          count: usage.count,
+          quotaBytes: uploads.UPLOAD_QUOTA_BYTES
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalUploads: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching uploads'
+    });
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Delete an unused upload
+// @access  Private (Owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const file = await Upload.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    if (file.references.length) {
+      return res.status(409).json({
+        success: false,
+        message: 'This file is still in use and cannot be deleted'
+      });
+    }
+
+    await uploads.deleteUpload(file);
+
+    res.json({
+      success: true,
+      message: 'Upload deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete upload error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting upload'
+    });
+  }
+});
+
+module.exports = router;
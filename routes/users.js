@@ -1,15 +1,31 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Blog = require('../models/Blog');
-const { auth, adminAuth } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const Role = require('../models/Role');
+const { auth, requirePermission, optionalAuth } = require('../middleware/auth');
+const sitemap = require('../services/sitemap');
+const audit = require('../services/audit');
+const { findPage } = require('../utils/cursor');
+const { BUILT_IN_ROLES, hasPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Sort orders for cursor pagination, each ending with a unique tiebreaker
+const RECENTLY_PUBLISHED = [['publishedAt', -1], ['_id', -1]];
+const RECENTLY_UPDATED = [['updatedAt', -1], ['_id', -1]];
+const NEWEST_FIRST = [['createdAt', -1], ['_id', -1]];
+
+// Users may only manage accounts whose role grants nothing they lack themselves
+const outranks = async (actor, target) => {
+  return hasPermissions(await actor.loadPermissions(), await target.loadPermissions());
+};
+
 // @route   GET /api/users/profile/:id
 // @desc    Get user profile by ID
 // @access  Public
-router.get('/profile/:id', async (req, res) => {
+router.get('/profile/:id', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-email');
 
@@ -27,13 +43,13 @@ router.get('/profile/:id', async (req, res) => {
       });
     }
 
-    // Get user's published blogs
+    // Get user's published blogs, including those they co-authored
     const blogs = await Blog.find({
-      author: user._id,
-      isPublished: true,
-      isDraft: false
+      ...Blog.publishedQuery(),
+      ...Blog.creditedQuery(user._id)
     })
-    .select('title subTitle category publishedAt views likes')
+    .select('title subTitle category publishedAt views likes author authorName coAuthors')
+    .populate('coAuthors', 'name avatar')
     .sort({ publishedAt: -1 })
     .limit(10);
 
@@ -42,6 +58,11 @@ router.get('/profile/:id', async (req, res) => {
     const totalViews = blogs.reduce((sum, blog) => sum + blog.views, 0);
     const totalLikes = blogs.reduce((sum, blog) => sum + blog.likes.length, 0);
 
+    const [followCounts, isFollowing] = await Promise.all([
+      Follow.getCounts(user._id),
+      req.user ? Follow.exists({ kind: 'user', follower: req.user._id, following: user._id }) : null
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -51,6 +72,10 @@ router.get('/profile/:id', async (req, res) => {
           totalBlogs,
           totalViews,
           totalLikes
+        },
+        follows: {
+          ...followCounts,
+          isFollowing: !!isFollowing
         }
       }
     });
@@ -73,49 +98,382 @@ router.get('/profile/:id', async (req, res) => {
 });
 
 // @route   GET /api/users/my-blogs
-// @desc    Get current user's blogs (including drafts)
+// @desc    Get blogs the current user owns or collaborates on (including drafts), most recently updated first
 // @access  Private
 router.get('/my-blogs', [
   auth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['all', 'published', 'draft']).withMessage('Status must be all, published, or draft')
+  query('status').optional().isIn(['all', 'published', 'draft', 'scheduled']).withMessage('Status must be all, published, draft, or scheduled'),
+  query('role').optional().isIn(['all', 'owner', 'collaborator']).withMessage('Role must be all, owner, or collaborator'),
+  query('after').optional().isString(),
+  query('before').optional().isString(),
+  query('skipTotal').optional().isBoolean().withMessage('skipTotal must be a boolean')
 ], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const { status = 'all' } = req.query;
+    const { status = 'all', role = 'all', after, before } = req.query;
 
     // Build query
-    let query = { author: req.user._id };
+    let query = Blog.memberQuery(req.user._id);
+
+    if (role === 'owner') {
+      query = { author: req.user._id };
+    } else if (role === 'collaborator') {
+      query = { collaborators: { $elemMatch: { user: req.user._id, status: 'accepted' } } };
+    }
 
     if (status === 'published') {
       query.isPublished = true;
       query.isDraft = false;
     } else if (status === 'draft') {
       query.isDraft = true;
+    } else if (status === 'scheduled') {
+      query.isPublished = false;
+      query.isDraft = false;
+      query.publishAt = { $ne: null };
     }
 
-    // Get blogs
-    const blogs = await Blog.find(query)
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    // Offset pagination (?page=) is still served for existing clients
+    if (req.query.page) {
+      const page = parseInt(req.query.page);
+
+      const [blogs, total] = await Promise.all([
+        Blog.find(query)
+          .sort({ updatedAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Blog.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(total / limit);
+
+      return res.json({
+        success: true,
+        data: {
+          blogs,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalBlogs: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    }
+
+    const [result, total] = await Promise.all([
+      findPage(Blog, query, { sort: RECENTLY_UPDATED, sortName: 'updated', limit, after, before }),
+      req.query.skipTotal === 'true' ? undefined : Blog.countDocuments(query)
+    ]);
 
-    // Get total count
-    const total = await Blog.countDocuments(query);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        blogs: result.docs,
+        pagination: {
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev,
+          // Totals are left out with ?skipTotal=true
+          totalBlogs: total,
+          totalPages: total === undefined ? undefined : Math.ceil(total / limit),
+          // The first page also answers clients that page with ?page=
+          currentPage: after || before ? undefined : 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my blogs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your blogs'
+    });
+  }
+});
+
+// @route   GET /api/users/invitations
+// @desc    Get pending invitations to collaborate on blogs
+// @access  Private
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const blogs = await Blog.find({
+      collaborators: { $elemMatch: { user: req.user._id, status: 'pending' } }
+    })
+    .select({
+      title: 1,
+      slug: 1,
+      author: 1,
+      authorName: 1,
+      collaborators: { $elemMatch: { user: req.user._id } }
+    })
+    .populate('collaborators.invitedBy', 'name avatar')
+    .lean();
+
+    res.json({
+      success: true,
+      data: {
+        invitations: blogs.map(({ collaborators: [invitation], ...blog }) => ({
+          blog,
+          role: invitation.role,
+          permissions: invitation.permissions,
+          invitedBy: invitation.invitedBy,
+          invitedAt: invitation.invitedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+});
+
+// @route   GET /api/users/feed
+// @desc    Get newly published blogs from followed authors and tags (cursor paginated)
+// @access  Private
+router.get('/feed', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('after').optional().isString(),
+  query('before').optional().isString(),
+  // Former name of after, still sent by existing clients
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const followed = await Follow.getFollowed(req.user._id);
+    const { tags } = followed;
+
+    // Deactivated authors drop out of the feed
+    const authors = followed.authors.length
+      ? await User.find({ _id: { $in: followed.authors }, isActive: true }).distinct('_id')
+      : [];
+
+    if (!authors.length && !tags.length) {
+      return res.json({
+        success: true,
+        data: {
+          blogs: [],
+          pagination: {
+            nextCursor: null,
+            prevCursor: null,
+            hasNext: false,
+            hasPrev: false
+          }
+        }
+      });
+    }
+
+    const filter = {
+      ...Blog.publishedQuery(),
+      author: { $ne: req.user._id },
+      coAuthors: { $ne: req.user._id },
+      $or: [
+        { author: { $in: authors } },
+        { coAuthors: { $in: authors } },
+        { tags: { $in: tags } }
+      ]
+    };
+
+    const result = await findPage(
+      Blog,
+      filter,
+      { sort: RECENTLY_PUBLISHED, sortName: 'feed', limit, after: req.query.after || req.query.cursor, before: req.query.before },
+      find => find
+        .populate('author', 'name avatar')
+        .populate('coAuthors', 'name avatar')
+        .select('-comments -collaborators')
+    );
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        blogs: result.docs,
+        pagination: {
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your feed'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow an author
+// @access  Private
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('name isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const created = await Follow.add(req.user._id, 'user', user._id);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? `You are now following ${user.name}` : `You already follow ${user.name}`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Follow user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while following user'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow an author
+// @access  Private
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    await Follow.deleteOne({ kind: 'user', follower: req.user._id, following: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'User unfollowed successfully'
+    });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unfollowing user'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/followers
+// @desc    Get users following a user
+// @access  Public
+router.get('/:id/followers', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { kind: 'user', following: req.params.id };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .populate({ path: 'follower', select: 'name avatar bio', match: { isActive: true } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Follow.countDocuments(filter)
+    ]);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
       data: {
-        blogs,
+        followers: follows
+          .filter(follow => follow.follower)
+          .map(follow => ({ ...follow.follower, followedAt: follow.createdAt })),
         pagination: {
           currentPage: page,
           totalPages,
-          totalBlogs: total,
+          totalFollowers: total,
           hasNext: page < totalPages,
           hasPrev: page > 1
         }
@@ -123,36 +481,129 @@ router.get('/my-blogs', [
     });
 
   } catch (error) {
-    console.error('Get my blogs error:', error);
+    console.error('Get followers error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching your blogs'
+      message: 'Server error while fetching followers'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/following
+// @desc    Get authors (type=users) or tags (type=tags) a user follows
+// @access  Public
+router.get('/:id/following', [
+  query('type').optional().isIn(['users', 'tags']).withMessage('Type must be users or tags'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { type = 'users' } = req.query;
+
+    const filter = { kind: type === 'tags' ? 'tag' : 'user', follower: req.params.id };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .populate({ path: 'following', select: 'name avatar bio', match: { isActive: true } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Follow.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    const following = type === 'tags'
+      ? follows.map(follow => ({ tag: follow.tag, followedAt: follow.createdAt }))
+      : follows
+        .filter(follow => follow.following)
+        .map(follow => ({ ...follow.following, followedAt: follow.createdAt }));
+
+    res.json({
+      success: true,
+      data: {
+        following,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalFollowing: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get following error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching following'
     });
   }
 });
 
 // @route   GET /api/users/dashboard
-// @desc    Get user dashboard data
+// @desc    Get user dashboard data (co-authored blogs count towards the stats)
 // @access  Private
 router.get('/dashboard', auth, async (req, res) => {
   try {
     const userId = req.user._id;
+    const credited = Blog.creditedQuery(userId);
 
     // Get blog counts
-    const totalBlogs = await Blog.countDocuments({ author: userId });
+    const totalBlogs = await Blog.countDocuments(credited);
     const publishedBlogs = await Blog.countDocuments({ 
-      author: userId, 
+      ...credited, 
       isPublished: true, 
       isDraft: false 
     });
     const draftBlogs = await Blog.countDocuments({ 
-      author: userId, 
+      ...credited, 
       isDraft: true 
     });
+    const scheduledBlogs = await Blog.countDocuments({
+      ...credited,
+      isPublished: false,
+      isDraft: false,
+      publishAt: { $ne: null }
+    });
+    const coAuthoredBlogs = await Blog.countDocuments({ coAuthors: userId });
+    const pendingInvitations = await Blog.countDocuments({
+      collaborators: { $elemMatch: { user: userId, status: 'pending' } }
+    });
 
     // Get total views and likes
     const blogStats = await Blog.aggregate([
-      { $match: { author: userId } },
+      { $match: credited },
       {
         $group: {
           _id: null,
@@ -166,10 +617,10 @@ router.get('/dashboard', auth, async (req, res) => {
     const stats = blogStats[0] || { totalViews: 0, totalLikes: 0, totalComments: 0 };
 
     // Get recent blogs
-    const recentBlogs = await Blog.find({ author: userId })
+    const recentBlogs = await Blog.find(credited)
       .sort({ updatedAt: -1 })
       .limit(5)
-      .select('title category views likes updatedAt isPublished isDraft')
+      .select('title category author views likes updatedAt isPublished isDraft publishAt unpublishAt')
       .lean();
 
     // Get monthly blog creation stats (last 6 months)
@@ -179,7 +630,7 @@ router.get('/dashboard', auth, async (req, res) => {
     const monthlyStats = await Blog.aggregate([
       {
         $match: {
-          author: userId,
+          ...credited,
           createdAt: { $gte: sixMonthsAgo }
         }
       },
@@ -203,7 +654,10 @@ router.get('/dashboard', auth, async (req, res) => {
         counts: {
           totalBlogs,
           publishedBlogs,
-          draftBlogs
+          draftBlogs,
+          scheduledBlogs,
+          coAuthoredBlogs,
+          pendingInvitations
         },
         stats: {
           totalViews: stats.totalViews,
@@ -225,34 +679,88 @@ router.get('/dashboard', auth, async (req, res) => {
 });
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private (Admin)
-router.get('/', [auth, adminAuth], async (req, res) => {
+// @desc    Get all users
+// @access  Private (user:list)
+router.get('/', [
+  auth,
+  requirePermission('user:list'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('after').optional().isString(),
+  query('before').optional().isString(),
+  query('skipTotal').optional().isBoolean().withMessage('skipTotal must be a boolean')
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { after, before } = req.query;
+
+    // Offset pagination (?page=) is still served for existing clients
+    if (req.query.page) {
+      const page = parseInt(req.query.page);
+
+      const [users, total] = await Promise.all([
+        User.find()
+          .select('-refreshTokens')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments()
+      ]);
+      const totalPages = Math.ceil(total / limit);
+
+      return res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalUsers: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    }
 
-    const users = await User.find()
-      .select('-refreshTokens')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    const [result, total] = await Promise.all([
+      findPage(User, {}, { sort: NEWEST_FIRST, sortName: 'newest', limit, after, before },
+        find => find.select('-refreshTokens')),
+      req.query.skipTotal === 'true' ? undefined : User.countDocuments()
+    ]);
 
-    const total = await User.countDocuments();
-    const totalPages = Math.ceil(total / limit);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        users,
+        users: result.docs,
         pagination: {
-          currentPage: page,
-          totalPages,
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev,
+          // Totals are left out with ?skipTotal=true
           totalUsers: total,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          totalPages: total === undefined ? undefined : Math.ceil(total / limit),
+          // The first page also answers clients that page with ?page=
+          currentPage: after || before ? undefined : 1
         }
       }
     });
@@ -267,9 +775,9 @@ router.get('/', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   PUT /api/users/:id/status
-// @desc    Update user status (Admin only)
-// @access  Private (Admin)
-router.put('/:id/status', [auth, adminAuth], async (req, res) => {
+// @desc    Update user status
+// @access  Private (user:deactivate)
+router.put('/:id/status', [auth, requirePermission('user:deactivate')], async (req, res) => {
   try {
     const { isActive } = req.body;
 
@@ -297,6 +805,14 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    if (!(await outranks(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the status of a user with permissions you do not have'
+      });
+    }
+
+    const wasActive = user.isActive;
     user.isActive = isActive;
     
     // If deactivating, clear refresh tokens
@@ -306,6 +822,15 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
     
     await user.save();
 
+    await audit.record(req, 'user.status', {
+      target: user,
+      before: { isActive: wasActive },
+      after: { isActive }
+    });
+
+    // Author profiles and posts of deactivated users leave the sitemap
+    sitemap.invalidate();
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -332,16 +857,16 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   PUT /api/users/:id/role
-// @desc    Update user role (Admin only)
-// @access  Private (Admin)
-router.put('/:id/role', [auth, adminAuth], async (req, res) => {
+// @desc    Update user role (a built-in role or a custom one)
+// @access  Private (user:assign-role)
+router.put('/:id/role', [auth, requirePermission('user:assign-role')], async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!['user', 'admin'].includes(role)) {
+    if (typeof role !== 'string' || !(await Role.isAvailable(role))) {
       return res.status(400).json({
         success: false,
-        message: 'Role must be either user or admin'
+        message: `Role must be one of ${Object.keys(BUILT_IN_ROLES).join(', ')} or an existing custom role`
       });
     }
 
@@ -362,9 +887,25 @@ router.put('/:id/role', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    // Nobody can hand out (or take away) permissions they do not hold
+    const rolePermissions = await Role.getPermissions(role);
+    if (!(await outranks(req.user, user)) || !hasPermissions(await req.user.loadPermissions(), rolePermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign or change a role with permissions you do not have'
+      });
+    }
+
+    const previousRole = user.role;
     user.role = role;
     await user.save();
 
+    await audit.record(req, 'user.role', {
+      target: user,
+      before: { role: previousRole },
+      after: { role }
+    });
+
     res.json({
       success: true,
       message: `User role updated to ${role} successfully`,
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Blog = require('../models/Blog');
+const { createExcerpt } = require('../utils/markdown');
+const { truncate, calculateReadTime } = require('../utils/text');
+
+// One-off migration: excerpts and reading times are derived when a post's
+// content is saved, so posts written before excerpts existed have none.
+// Also fills in generated meta descriptions. Pass --dry-run to only report.
+const dryRun = process.argv.includes('--dry-run');
+
+const backfillExcerpts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    let updated = 0;
+
+    // Trashed posts can be restored, so they are backfilled too
+    const cursor = Blog.find({ excerpt: { $in: [null, ''] }, description: { $nin: [null, ''] } })
+      .setOptions({ withDeleted: true })
+      .select('description metaDescription metaDescriptionGenerated')
+      .lean()
+      .cursor();
+
+    for await (const blog of cursor) {
+      const excerpt = createExcerpt(blog.description);
+      const update = {
+        excerpt,
+        readTime: calculateReadTime(blog.description)
+      };
+
+      // Same fallback as on save when the author has not written a meta description
+      if (!blog.metaDescription || blog.metaDescriptionGenerated) {
+        update.metaDescription = truncate(excerpt, 160);
+        update.metaDescriptionGenerated = true;
+      }
+
+      updated++;
+      console.log(`${dryRun ? 'Would backfill' : 'Backfilling'} blog ${blog._id}`);
+
+      if (!dryRun) {
+        // Bypass hooks and keep updatedAt unchanged
+        await Blog.collection.updateOne({ _id: blog._id }, { $set: update });
+      }
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would backfill' : 'Backfilled'} ${updated} blog(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling excerpts:', error);
+    process.exit(1);
+  }
+};
+
+backfillExcerpts();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+
+// One-off migration: categories used to be a hardcoded enum on the Blog schema.
+// Creates the former defaults plus any other category already used by a post,
+// so every existing post points at a Category document.
+const migrateCategories = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const usedNames = await Blog.distinct('category');
+    const names = [...new Set([...Category.DEFAULT_CATEGORIES, ...usedNames.filter(Boolean)])];
+
+    let created = 0;
+    for (let i = 0; i < names.length; i++) {
+      if (!(await Category.exists({ name: names[i] }))) {
+        await Category.create({ name: names[i], order: i });
+        created++;
+      }
+    }
+    console.log(`Created ${created} categor${created === 1 ? 'y' : 'ies'} (${names.length - created} already existed)`);
+
+    await Category.syncIndexes();
+    console.log('Synced category indexes');
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Blog = require('../models/Blog');
+
+// One-off migration: MongoDB allows a single text index per collection, so the
+// old unweighted title/description index must be dropped before the weighted
+// one defined in models/Blog.js can be built.
+const rebuildSearchIndex = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const indexes = await Blog.collection.indexes();
+    const staleTextIndexes = indexes.filter(index => index.key._fts === 'text' && index.name !== 'blog_text_search');
+
+    for (const index of staleTextIndexes) {
+      await Blog.collection.dropIndex(index.name);
+      console.log(`Dropped text index ${index.name}`);
+    }
+
+    await Blog.syncIndexes();
+    console.log('Synced blog indexes');
+
+    console.log('\n✅ Search index rebuilt successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    process.exit(1);
+  }
+};
+
+rebuildSearchIndex();
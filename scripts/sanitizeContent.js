@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Blog = require('../models/Blog');
+const { sanitizeContent, sanitizeComment } = require('../utils/sanitize');
+
+// One-off migration: sanitize post bodies and comments stored before
+// sanitization was enforced. Pass --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const sanitizeExistingContent = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    let scanned = 0;
+    let updated = 0;
+
+    // Trashed posts can be restored, so they are sanitized too
+    const cursor = Blog.find().setOptions({ withDeleted: true }).select('description comments').lean().cursor();
+
+    for await (const blog of cursor) {
+      scanned++;
+      const update = {};
+
+      const description = sanitizeContent(blog.description);
+      if (description !== blog.description) {
+        update.description = description;
+      }
+
+      let commentsChanged = false;
+      const comments = (blog.comments || []).map(comment => {
+        const content = sanitizeComment(comment.content);
+        if (content !== comment.content) commentsChanged = true;
+        return { ...comment, content };
+      });
+      if (commentsChanged) {
+        update.comments = comments;
+      }
+
+      if (Object.keys(update).length) {
+        updated++;
+        console.log(`${dryRun ? 'Would sanitize' : 'Sanitizing'} blog ${blog._id} (${Object.keys(update).join(', ')})`);
+
+        if (!dryRun) {
+          // Bypass hooks and keep updatedAt unchanged
+          await Blog.collection.updateOne({ _id: blog._id }, { $set: update });
+        }
+      }
+    }
+
+    console.log(`\n✅ Scanned ${scanned} blog(s), ${dryRun ? 'would update' : 'updated'} ${updated}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error sanitizing content:', error);
+    process.exit(1);
+  }
+};
+
+sanitizeExistingContent();
@@ -4,6 +4,7 @@ require('dotenv').config();
 
 const User = require('../models/User');
 const Blog = require('../models/Blog');
+const Category = require('../models/Category');
 
 // Blog data from JSON
 const blogsData = [
@@ -98,14 +99,22 @@ const seedDatabase = async () => {
     // Clear existing data
     await User.deleteMany({});
     await Blog.deleteMany({});
+    await Category.deleteMany({});
     console.log('Cleared existing data');
 
+    // Create categories
+    await Category.insertMany(
+      Category.DEFAULT_CATEGORIES.map((name, index) => ({ name, order: index }))
+    );
+    console.log('Created categories');
+
     // Create admin user
     const adminUser = new User({
       name: 'Admin User',
       email: 'admin@blogsite.com',
       password: 'Admin123!',
-      role: 'admin'
+      role: 'admin',
+      isEmailVerified: true
     });
     await adminUser.save();
     console.log('Created admin user');
@@ -119,7 +128,8 @@ const seedDatabase = async () => {
         name: userNames[i],
         email: `user${i + 1}@blogsite.com`,
         password: 'User123!',
-        role: 'user'
+        role: 'user',
+        isEmailVerified: true
       });
       await user.save();
       users.push(user);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+// One-off migration: accounts created before email verification existed
+// are treated as verified. Pass the date email verification was deployed, e.g.
+// `npm run migrate:verify-existing-users -- 2024-05-01`; accounts created before
+// it are verified even if a later save already stored the default false.
+const deployedAt = new Date(process.argv[2]);
+
+const verifyExistingUsers = async () => {
+  try {
+    if (!process.argv[2] || isNaN(deployedAt.getTime())) {
+      throw new Error('Pass the date email verification was deployed, e.g. 2024-05-01');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { createdAt: { $lt: deployedAt }, isEmailVerified: { $ne: true } },
+      { $set: { isEmailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} user(s) created before ${deployedAt.toISOString()} as verified`);
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating users:', error);
+    process.exit(1);
+  }
+};
+
+verifyExistingUsers();
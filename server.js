@@ -5,13 +5,46 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const Blog = require('./models/Blog');
+const scheduler = require('./services/scheduler');
+const sitemap = require('./services/sitemap');
+const uploads = require('./services/uploads');
+const notifications = require('./services/notifications');
+const views = require('./services/views');
+const trash = require('./services/trash');
+const { getStorage } = require('./services/storage');
+const { getTransport } = require('./services/mail');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const blogRoutes = require('./routes/blogs');
 const userRoutes = require('./routes/users');
+const moderationRoutes = require('./routes/moderation');
+const revisionRoutes = require('./routes/revisions');
+const collaboratorRoutes = require('./routes/collaborators');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemap');
+const searchRoutes = require('./routes/search');
+const uploadRoutes = require('./routes/uploads');
+const tagRoutes = require('./routes/tags');
+const categoryRoutes = require('./routes/categories');
+const readingListRoutes = require('./routes/readingLists');
+const notificationRoutes = require('./routes/notifications');
+const analyticsRoutes = require('./routes/analytics');
+const roleRoutes = require('./routes/roles');
+const auditLogRoutes = require('./routes/auditLogs');
+
+// Fail at startup rather than on the first email when mail is not configured
+getTransport();
 
 const app = express();
 
+// Behind a reverse proxy (e.g. TRUST_PROXY=1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -33,6 +66,17 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serve uploaded files when stored on the local filesystem
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(getStorage().directory, {
+    maxAge: '30d',
+    setHeaders: (res) => {
+      // Allow the frontend (another origin) to embed the images
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
@@ -40,16 +84,75 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  scheduler.start();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Background jobs
+scheduler.registerJob(
+  'blog-publishing-schedule',
+  parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  async () => {
+    const { published, unpublished } = await Blog.processSchedule();
+    if (published || unpublished) {
+      sitemap.invalidate();
+      console.log(`🗓️  Scheduled publishing: ${published} published, ${unpublished} unpublished`);
+    }
+  }
+);
+
+scheduler.registerJob(
+  'orphaned-upload-cleanup',
+  parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+  async () => {
+    const removed = await uploads.cleanupOrphans();
+    if (removed) {
+      console.log(`🧹 Removed ${removed} orphaned upload(s)`);
+    }
+  }
+);
+
+scheduler.registerJob(
+  'trash-purge',
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  async () => {
+    const purged = await trash.purgeExpired();
+    if (purged) {
+      console.log(`🗑️  Purged ${purged} blog(s) from the trash`);
+    }
+  }
+);
+
+scheduler.registerJob(
+  'view-counter-flush',
+  parseInt(process.env.VIEW_FLUSH_INTERVAL_MS) || 10 * 1000,
+  () => views.flush()
+);
+
+// Event listeners
+notifications.subscribe();
+
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/blogs/:id/revisions', revisionRoutes);
+app.use('/api/blogs/:id/collaborators', collaboratorRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reading-lists', readingListRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/', sitemapRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -115,8 +218,22 @@ app.use((error, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Client URL: ${process.env.CLIENT_URL}`);
   console.log(`🔗 API Health: http://localhost:${PORT}/api/health`);
 });
+
+// Stop taking requests and write buffered view counts before exiting (e.g. on deploy)
+const shutdown = (signal) => {
+  console.log(`🛑 ${signal} received, shutting down`);
+  scheduler.stop();
+  server.close();
+
+  views.flush()
+    .catch(error => console.error('View counter flush error:', error))
+    .finally(() => process.exit(0));
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const BlogView = require('../models/BlogView');
+const DailyView = require('../models/DailyView');
+const DailyReferrer = require('../models/DailyReferrer');
+const { visitorKey, startOfDay } = require('./views');
+const { siteUrl } = require('../utils/siteUrls');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of referring domains returned
+const TOP_REFERRERS = 20;
+
+// Normalize a referrer URL to its domain
+const referrerDomain = (referrer) => {
+  if (!referrer) return '(direct)';
+
+  try {
+    const host = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '');
+    const ownHost = new URL(siteUrl()).hostname.toLowerCase().replace(/^www\./, '');
+
+    return host === ownHost ? '(internal)' : host || '(direct)';
+  } catch (error) {
+    return '(direct)';
+  }
+};
+
+// Record where a view came from, once per counted view
+const recordReferrer = async (req, blog, referrer) => {
+  const domain = referrerDomain(referrer);
+
+  const result = await BlogView.updateOne(
+    { blog: blog._id, visitorKey: visitorKey(req), referrer: null },
+    { $set: { referrer: domain } }
+  );
+
+  if (!result.modifiedCount) return false;
+
+  await DailyReferrer.updateOne(
+    { blog: blog._id, date: startOfDay(), domain },
+    { $inc: { count: 1 } },
+    { upsert: true }
+  );
+  return true;
+};
+
+// Record that a visitor read a post to the end, once per counted view
+const recordRead = async (req, blog) => {
+  const result = await BlogView.updateOne(
+    { blog: blog._id, visitorKey: visitorKey(req), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  if (!result.modifiedCount) return false;
+
+  await DailyView.updateOne(
+    { blog: blog._id, date: startOfDay() },
+    { $inc: { reads: 1 }, $setOnInsert: { author: blog.author } },
+    { upsert: true }
+  );
+  return true;
+};
+
+// Monday (UTC) of the week containing a day
+const startOfWeek = (date) => {
+  return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+// Share of views that were read to the end
+const readThroughRate = (reads, views) => {
+  return views ? Math.round((reads / views) * 1000) / 1000 : null;
+};
+
+// Count array entries (likes or approved comments) per day on the given blogs
+const countPerDay = async (match, field, from, until) => {
+  const itemMatch = { [`${field}.createdAt`]: { $gte: from, $lt: until } };
+  if (field === 'comments') {
+    itemMatch['comments.isApproved'] = true;
+    itemMatch['comments.isDeleted'] = { $ne: true };
+  }
+
+  const rows = await Blog.aggregate([
+    { $match: match },
+    { $unwind: `$${field}` },
+    { $match: itemMatch },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: `$${field}.createdAt` } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, row.count]));
+};
+
+// Sum per-day rows into the requested interval
+const bucket = (days, interval) => {
+  if (interval === 'day') return days;
+
+  const weeks = new Map();
+  days.forEach(day => {
+    const week = startOfWeek(new Date(day.date)).toISOString().slice(0, 10);
+    const totals = weeks.get(week) || { date: week, views: 0, pageviews: 0, reads: 0, likes: 0, comments: 0 };
+
+    ['views', 'pageviews', 'reads', 'likes', 'comments'].forEach(key => {
+      totals[key] += day[key];
+    });
+    weeks.set(week, totals);
+  });
+
+  return [...weeks.values()];
+};
+
+// Totals of views, reads, likes and comments across an author's posts, for their per-post average
+const getAuthorAverage = async (authorId, from, until) => {
+  const author = new mongoose.Types.ObjectId(authorId);
+  const match = { ...Blog.publishedQuery(), author };
+
+  const [postCount, viewTotals, likes, comments] = await Promise.all([
+    Blog.countDocuments(match),
+    DailyView.aggregate([
+      { $match: { author, date: { $gte: from, $lt: until } } },
+      { $group: { _id: null, views: { $sum: '$views' }, reads: { $sum: '$reads' } } }
+    ]),
+    countPerDay(match, 'likes', from, until),
+    countPerDay(match, 'comments', from, until)
+  ]);
+
+  const sum = counts => [...counts.values()].reduce((total, count) => total + count, 0);
+  const { views = 0, reads = 0 } = viewTotals[0] || {};
+  const average = total => postCount ? Math.round((total / postCount) * 10) / 10 : 0;
+
+  return {
+    postCount,
+    views: average(views),
+    likes: average(sum(likes)),
+    comments: average(sum(comments)),
+    readThroughRate: readThroughRate(reads, views)
+  };
+};
+
+// Views, likes, comments, reads and referrers of a post between two days (inclusive),
+// compared with the author's average post over the same period
+const getPostAnalytics = async (blog, { from, to, interval = 'day' }) => {
+  const until = new Date(to.getTime() + DAY_MS);
+  const match = { _id: blog._id };
+
+  const [dailyViews, likes, comments, referrers, authorAverage] = await Promise.all([
+    DailyView.getSeries(blog._id, from, to),
+    countPerDay(match, 'likes', from, until),
+    countPerDay(match, 'comments', from, until),
+    DailyReferrer.aggregate([
+      { $match: { blog: blog._id, date: { $gte: from, $lt: until } } },
+      { $group: { _id: '$domain', count: { $sum: '$count' } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TOP_REFERRERS },
+      { $project: { _id: 0, domain: '$_id', count: 1 } }
+    ]),
+    getAuthorAverage(blog.author, from, until)
+  ]);
+
+  const days = dailyViews.map(day => ({
+    ...day,
+    likes: likes.get(day.date) || 0,
+    comments: comments.get(day.date) || 0
+  }));
+
+  const series = bucket(days, interval).map(row => ({
+    ...row,
+    readThroughRate: readThroughRate(row.reads, row.views)
+  }));
+
+  const totals = days.reduce((sum, day) => {
+    ['views', 'pageviews', 'reads', 'likes', 'comments'].forEach(key => {
+      sum[key] += day[key];
+    });
+    return sum;
+  }, { views: 0, pageviews: 0, reads: 0, likes: 0, comments: 0 });
+  totals.readThroughRate = readThroughRate(totals.reads, totals.views);
+
+  // Post value relative to the author's average (1.5 = 50% above average)
+  const relative = key => authorAverage[key] ? Math.round((totals[key] / authorAverage[key]) * 100) / 100 : null;
+
+  return {
+    range: {
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10),
+      interval
+    },
+    totals,
+    series,
+    referrers,
+    comparison: {
+      authorAverage,
+      relative: {
+        views: relative('views'),
+        likes: relative('likes'),
+        comments: relative('comments'),
+        readThroughRate: relative('readThroughRate')
+      }
+    }
+  };
+};
+
+module.exports = {
+  recordReferrer,
+  recordRead,
+  getPostAnalytics
+};
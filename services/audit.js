@@ -0,0 +1,35 @@
+const AuditLog = require('../models/AuditLog');
+
+// Readable name of an audited document (a user's email, a blog's title, a role's name)
+const labelOf = (target) => target.email || target.title || target.name || '';
+
+// Record an administrative or security-relevant action taken in a request, or by
+// a background job when req is null (recorded without an actor).
+// Options: actor (defaults to the signed-in user), target (a User, Blog or Role
+// document), before and after values, and metadata. A failure to record is
+// logged but never fails the request that triggered it.
+const record = async (req, action, options = {}) => {
+  const { actor = req && req.user, target, before = null, after = null, metadata = null } = options;
+
+  try {
+    await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorName: actor ? actor.name : '',
+      action,
+      targetType: target ? target.constructor.modelName : null,
+      target: target ? target._id : null,
+      targetLabel: target ? labelOf(target) : '',
+      before,
+      after,
+      metadata,
+      ip: (req && req.ip) || '',
+      userAgent: (req && req.get('User-Agent')) || ''
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+module.exports = {
+  record
+};
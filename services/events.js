@@ -0,0 +1,30 @@
+// In-process event bus decoupling side effects (notifications, etc.) from the
+// request flows that trigger them. Listeners run after the emitting request
+// has moved on, and their errors are logged instead of failing the request.
+
+const EventEmitter = require('events');
+
+const emitter = new EventEmitter();
+
+// Register a (possibly async) listener for an event
+const on = (name, handler) => {
+  emitter.on(name, (payload) => {
+    setImmediate(async () => {
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Event "${name}" listener failed:`, error);
+      }
+    });
+  });
+};
+
+// Emit an event to all listeners
+const emit = (name, payload) => {
+  emitter.emit(name, payload);
+};
+
+module.exports = {
+  on,
+  emit
+};
@@ -0,0 +1,11 @@
+// Transport that prints messages to the console instead of sending them
+const createConsoleTransport = () => {
+  return {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transport that writes each message to a JSON file (local development and tests)
+const createFileTransport = () => {
+  const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'tmp/mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(outputDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+      return { messageId: fileName, path: filePath };
+    }
+  };
+};
+
+module.exports = createFileTransport;
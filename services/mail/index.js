@@ -0,0 +1,53 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+let transport = null;
+
+// Pick the transport configured by MAIL_TRANSPORT (smtp | file | console). The console
+// transport prints reset and verification links, tokens included, so it is only used
+// (and the default) outside production.
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    default:
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set to smtp or file in production');
+      }
+      return createConsoleTransport();
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with a send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Blog Site <no-reply@blogsite.com>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,43 @@
+// Email templates. Each returns { subject, text, html } for sendMail.
+const { escapeHtml } = require('../../utils/text');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Password reset link
+const passwordReset = ({ name, token, expiresInMinutes }) => {
+  const url = `${clientUrl()}/reset-password?token=${token}`;
+
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThis link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${url}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`
+  };
+};
+
+// Verify the address given at signup
+const emailVerification = ({ name, token, expiresInHours }) => {
+  const url = `${clientUrl()}/verify-email?token=${token}`;
+
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nThis link expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${url}">Verify email</a></p><p>This link expires in ${expiresInHours} hours.</p>`
+  };
+};
+
+// Confirm a new address before switching the account over to it
+const emailChange = ({ name, token, newEmail, expiresInHours }) => {
+  const url = `${clientUrl()}/verify-email?token=${token}`;
+
+  return {
+    subject: 'Confirm your new email address',
+    text: `Hi ${name},\n\nYou asked to change your account email to ${newEmail}. Confirm the change by opening the link below:\n\n${url}\n\nThis link expires in ${expiresInHours} hours. Your email will not change until you confirm.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>You asked to change your account email to ${escapeHtml(newEmail)}. Confirm the change by clicking the link below:</p><p><a href="${url}">Confirm new email</a></p><p>This link expires in ${expiresInHours} hours. Your email will not change until you confirm.</p>`
+  };
+};
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  emailChange
+};
@@ -0,0 +1,133 @@
+// Turns events from the like, comment, moderation and collaboration flows into
+// in-app notifications. Comment and reply notifications are sent when a comment
+// becomes publicly visible, i.e. when it is approved.
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const events = require('./events');
+
+// Create or extend a notification if the recipient wants this type
+const notify = async (recipientId, actorId, fields) => {
+  if (actorId && recipientId.toString() === actorId.toString()) return;
+
+  const recipient = await User.findById(recipientId).select('isActive notificationPreferences');
+  if (!recipient || !recipient.isActive) return;
+  if (recipient.notificationPreferences && recipient.notificationPreferences[fields.type] === false) return;
+
+  if (fields.groupKey) {
+    await Notification.addActor({ recipient: recipientId, ...fields }, actorId);
+  } else {
+    await Notification.create({
+      recipient: recipientId,
+      actors: actorId ? [actorId] : [],
+      ...fields
+    });
+  }
+};
+
+const onBlogLiked = async ({ blog, user }) => {
+  await notify(blog.author, user._id, {
+    type: 'like',
+    groupKey: `like:${blog._id}`,
+    blog: blog._id,
+    blogTitle: blog.title
+  });
+};
+
+const onBlogUnliked = async ({ blog, user }) => {
+  await Notification.removeActor(blog.author, `like:${blog._id}`, user._id);
+};
+
+// Tell the post author about a new comment and the parent's author about a reply
+const onCommentPublished = async (blog, comment) => {
+  await notify(blog.author, comment.user, {
+    type: 'comment',
+    groupKey: `comment:${blog._id}`,
+    blog: blog._id,
+    blogTitle: blog.title,
+    comment: comment._id
+  });
+
+  const parent = comment.parent ? blog.comments.id(comment.parent) : null;
+
+  if (parent && !parent.isDeleted && parent.user.toString() !== blog.author.toString()) {
+    await notify(parent.user, comment.user, {
+      type: 'reply',
+      groupKey: `reply:${parent._id}`,
+      blog: blog._id,
+      blogTitle: blog.title,
+      comment: parent._id
+    });
+  }
+};
+
+const onCommentCreated = async ({ blog, comment }) => {
+  if (comment.isApproved) {
+    await onCommentPublished(blog, comment);
+  }
+};
+
+const onCommentModerated = async ({ blog, comment, previousStatus, moderator }) => {
+  if (comment.status === previousStatus) return;
+
+  if (comment.status === 'approved') {
+    await onCommentPublished(blog, comment);
+  }
+
+  await notify(comment.user, moderator._id, {
+    type: 'moderation',
+    blog: blog._id,
+    blogTitle: blog.title,
+    comment: comment._id,
+    status: comment.status,
+    reason: comment.status === 'rejected' ? comment.rejectionReason : ''
+  });
+};
+
+const onCollaboratorInvited = async ({ blog, collaborator, inviter }) => {
+  await notify(collaborator.user, inviter._id, {
+    type: 'invitation',
+    blog: blog._id,
+    blogTitle: blog.title
+  });
+};
+
+// Build the human-readable text of a notification (actors must be populated)
+const describe = (notification) => {
+  const [actor] = notification.actors;
+  const name = actor && actor.name ? actor.name : 'Someone';
+  const others = notification.actorCount - 1;
+  const who = others > 0 ? `${name} and ${others} other${others === 1 ? '' : 's'}` : name;
+  const title = `"${notification.blogTitle}"`;
+
+  switch (notification.type) {
+    case 'like':
+      return `${who} liked your post ${title}`;
+    case 'comment':
+      return `${who} commented on your post ${title}`;
+    case 'reply':
+      return `${who} replied to your comment on ${title}`;
+    case 'moderation':
+      return notification.status === 'approved'
+        ? `Your comment on ${title} was approved`
+        : `Your comment on ${title} was rejected`;
+    case 'invitation':
+      return `${who} invited you to collaborate on ${title}`;
+    default:
+      return '';
+  }
+};
+
+// Start listening for events
+const subscribe = () => {
+  events.on('blog.liked', onBlogLiked);
+  events.on('blog.unliked', onBlogUnliked);
+  events.on('comment.created', onCommentCreated);
+  events.on('comment.moderated', onCommentModerated);
+  events.on('blog.collaboratorInvited', onCollaboratorInvited);
+};
+
+module.exports = {
+  subscribe,
+  describe
+};
@@ -0,0 +1,48 @@
+// In-process job runner for periodic background work.
+// Jobs keep their state in the database, so anything that became due while
+// the server was down is picked up by the first run after a restart.
+
+const jobs = [];
+let timers = [];
+
+// Register a job to run every intervalMs once the scheduler starts
+const registerJob = (name, intervalMs, handler) => {
+  jobs.push({ name, intervalMs, handler, running: false });
+};
+
+// Run a job, skipping it if the previous run has not finished yet
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.handler();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start all registered jobs (each runs immediately, then on its interval)
+const start = () => {
+  jobs.forEach(job => {
+    runJob(job);
+
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+// Stop all running jobs
+const stop = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers = [];
+};
+
+module.exports = {
+  registerJob,
+  start,
+  stop
+};
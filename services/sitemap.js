@@ -0,0 +1,152 @@
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { escapeXml } = require('../utils/xml');
+const { siteUrl, blogUrl, categoryUrl, tagUrl, authorUrl } = require('../utils/siteUrls');
+
+// Maximum URLs per sitemap file (protocol limit is 50,000)
+const SITEMAP_MAX_URLS = Math.min(parseInt(process.env.SITEMAP_MAX_URLS) || 50000, 50000);
+
+// Rebuild at least this often even without invalidation
+const SITEMAP_CACHE_TTL_MS = parseInt(process.env.SITEMAP_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+let cache = null;
+let building = null;
+// Bumped by invalidate() so builds started before it are not cached
+let generation = 0;
+
+// Collect every public URL with its last modification date
+const collectUrls = async () => {
+  const inactiveAuthors = await User.find({ isActive: false }).distinct('_id');
+  const match = { ...Blog.publishedQuery(), author: { $nin: inactiveAuthors } };
+
+  const [blogs, categories, tags, authors] = await Promise.all([
+    Blog.find(match).select('slug updatedAt').sort({ publishedAt: -1 }).lean(),
+    Blog.aggregate([
+      { $match: match },
+      { $group: { _id: '$category', lastmod: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Blog.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', lastmod: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Blog.aggregate([
+      { $match: match },
+      { $group: { _id: '$author', lastmod: { $max: '$updatedAt' } } }
+    ])
+  ]);
+
+  return [
+    { loc: siteUrl(), lastmod: blogs.length ? blogs[0].updatedAt : null },
+    ...blogs.map(blog => ({ loc: blogUrl(blog), lastmod: blog.updatedAt })),
+    ...categories.map(category => ({ loc: categoryUrl(category._id), lastmod: category.lastmod })),
+    ...tags.map(tag => ({ loc: tagUrl(tag._id), lastmod: tag.lastmod })),
+    ...authors.map(author => ({ loc: authorUrl(author._id), lastmod: author.lastmod }))
+  ];
+};
+
+// Render a <urlset> document
+const buildUrlset = (urls) => {
+  const entries = urls.map(url => `  <url>
+    <loc>${escapeXml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : ''}
+  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+};
+
+// Render a <sitemapindex> document pointing at each page
+const buildIndex = (pages, baseUrl) => {
+  const entries = pages.map((page, i) => `  <sitemap>
+    <loc>${escapeXml(`${baseUrl}/sitemap-${i + 1}.xml`)}</loc>${page.lastmod ? `
+    <lastmod>${new Date(page.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>
+`;
+};
+
+// Build all sitemap pages (split once the URL limit is exceeded)
+const build = async () => {
+  const urls = await collectUrls();
+  const pages = [];
+
+  for (let i = 0; i < urls.length; i += SITEMAP_MAX_URLS) {
+    const chunk = urls.slice(i, i + SITEMAP_MAX_URLS);
+    const lastmod = chunk.reduce((latest, url) => {
+      return url.lastmod && (!latest || url.lastmod > latest) ? url.lastmod : latest;
+    }, null);
+
+    pages.push({ xml: buildUrlset(chunk), lastmod });
+  }
+
+  return { pages, builtAt: Date.now() };
+};
+
+// Get the cached sitemap, rebuilding it if stale (concurrent callers share one build)
+const getCache = async () => {
+  if (cache && Date.now() - cache.builtAt < SITEMAP_CACHE_TTL_MS) {
+    return cache;
+  }
+
+  if (!building) {
+    const startedIn = generation;
+    const current = build()
+      .then(result => {
+        if (startedIn === generation) {
+          cache = result;
+        }
+        return result;
+      })
+      .finally(() => {
+        if (building === current) {
+          building = null;
+        }
+      });
+    building = current;
+  }
+
+  return building;
+};
+
+// Get /sitemap.xml: the only page, or an index when there are several
+const getSitemap = async (baseUrl) => {
+  const { pages } = await getCache();
+
+  if (pages.length <= 1) {
+    return pages.length ? pages[0].xml : buildUrlset([]);
+  }
+
+  return buildIndex(pages, baseUrl);
+};
+
+// Get a numbered sitemap page (1-based), or null if it does not exist
+const getSitemapPage = async (pageNumber) => {
+  const { pages } = await getCache();
+  const page = pages[pageNumber - 1];
+
+  return page ? page.xml : null;
+};
+
+// Drop the cached sitemap so the next request rebuilds it, discarding any
+// build already in progress since it may have missed the change
+const invalidate = () => {
+  generation++;
+  cache = null;
+  building = null;
+};
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  invalidate
+};
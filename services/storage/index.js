@@ -0,0 +1,31 @@
+const createLocalStorage = require('./localStorage');
+
+let adapter = null;
+
+// Pick the storage adapter configured by STORAGE_DRIVER.
+// Adapters implement put(key, buffer, mimeType) -> { key, url }, delete(key) and urlFor(key).
+const createAdapter = () => {
+  switch (process.env.STORAGE_DRIVER || 'local') {
+    case 'local':
+      return createLocalStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${process.env.STORAGE_DRIVER}`);
+  }
+};
+
+const getStorage = () => {
+  if (!adapter) {
+    adapter = createAdapter();
+  }
+  return adapter;
+};
+
+// Replace the active adapter (e.g. an object storage implementation)
+const setStorage = (customAdapter) => {
+  adapter = customAdapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
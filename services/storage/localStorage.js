@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory uploads are written to (served at /uploads by server.js)
+const uploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Public base URL of the /uploads route
+const publicBaseUrl = () => {
+  return (process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+};
+
+// Storage adapter that keeps files on the local filesystem
+const createLocalStorage = () => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(uploadDir(), key);
+
+    // Never allow keys to escape the upload directory
+    if (!filePath.startsWith(uploadDir() + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const urlFor = (key) => `${publicBaseUrl()}/${key}`;
+
+  return {
+    directory: uploadDir(),
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: urlFor(key) };
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    urlFor
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,64 @@
+const Blog = require('../models/Blog');
+const Revision = require('../models/Revision');
+const uploads = require('./uploads');
+const audit = require('./audit');
+
+// Days a blog stays in the trash before it is deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// When a trashed blog will be purged
+const purgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Move a blog to the trash, keeping its likes, comments and revisions
+const moveToTrash = (blog, user) => {
+  return Blog.updateOne(
+    { _id: blog._id },
+    { $set: { deletedAt: new Date(), deletedBy: user._id } }
+  );
+};
+
+// Take a blog back out of the trash
+const restore = (blog) => {
+  return Blog.updateOne(
+    { _id: blog._id },
+    { $set: { deletedAt: null, deletedBy: null } }
+  );
+};
+
+// Delete a blog for good, along with its revisions and upload references
+const purge = async (blogId) => {
+  await Blog.deleteOne({ _id: blogId });
+  await Revision.deleteMany({ blog: blogId });
+  await uploads.releaseBlogReferences(blogId);
+};
+
+// Purge blogs that have been in the trash longer than the retention period,
+// recording each in the audit log without an actor
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Blog.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('title author slug deletedAt');
+
+  for (const blog of expired) {
+    await purge(blog._id);
+
+    await audit.record(null, 'blog.purge', {
+      target: blog,
+      before: { title: blog.title, author: blog.author, slug: blog.slug },
+      metadata: { reason: 'retention', deletedAt: blog.deletedAt }
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  moveToTrash,
+  restore,
+  purge,
+  purgeExpired
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const Upload = require('../models/Upload');
+const Revision = require('../models/Revision');
+const { getStorage } = require('./storage');
+const { detectImageType } = require('../utils/fileType');
+
+// Maximum total bytes a single user may store
+const UPLOAD_QUOTA_BYTES = parseInt(process.env.UPLOAD_QUOTA_BYTES) || 100 * 1024 * 1024;
+
+// How long an unreferenced upload is kept before cleanup deletes it
+const ORPHAN_GRACE_HOURS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_HOURS) || 24;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Validate and store an uploaded image for a user
+const storeUpload = async (user, file, kind) => {
+  const type = detectImageType(file.buffer);
+
+  if (!type) {
+    throw httpError(415, 'Only JPEG, PNG, GIF and WebP images are allowed');
+  }
+
+  const usage = await Upload.getUsage(user._id);
+  if (usage.bytes + file.size > UPLOAD_QUOTA_BYTES) {
+    throw httpError(413, 'Upload quota exceeded. Delete unused images and try again.');
+  }
+
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const key = `${kind}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}.${type.extension}`;
+
+  const { url } = await getStorage().put(key, file.buffer, type.mimeType);
+
+  return Upload.create({
+    owner: user._id,
+    kind,
+    storageKey: key,
+    url,
+    mimeType: type.mimeType,
+    size: file.size,
+    originalName: file.originalname
+  });
+};
+
+// Image URLs used by a blog or revision snapshot (cover image and <img src> in the content)
+const extractBlogUrls = (blog) => {
+  const urls = [blog.image];
+  const srcPattern = /<img[^>]+src=["']([^"']+)["']/gi;
+
+  let match;
+  while ((match = srcPattern.exec(blog.description || '')) !== null) {
+    urls.push(match[1]);
+  }
+
+  return urls;
+};
+
+// Users whose uploads a blog may use: its author and accepted collaborators
+const blogMembers = (blog) => [
+  blog.author,
+  ...(blog.collaborators || [])
+    .filter(collaborator => collaborator.status === 'accepted')
+    .map(collaborator => collaborator.user)
+].map(user => user._id);
+
+// Keep upload reference tracking in sync with a blog's content, counting images
+// that only its kept revisions use so restoring one does not break them
+const syncBlogReferences = async (blog) => {
+  const revisions = await Revision.find({ blog: blog._id })
+    .select('snapshot.image snapshot.description')
+    .lean();
+
+  const urls = [blog, ...revisions.map(revision => revision.snapshot)].flatMap(extractBlogUrls);
+
+  await Upload.syncReferences('Blog', blog._id, urls, blogMembers(blog));
+};
+
+// Stop tracking a deleted blog's uploads
+const releaseBlogReferences = (blogId) => Upload.syncReferences('Blog', blogId, []);
+
+// Keep upload reference tracking in sync with a user's avatar
+const syncUserReferences = (user) => Upload.syncReferences('User', user._id, [user.avatar], [user._id]);
+
+// Delete uploads that have been unreferenced for longer than the grace period
+const cleanupOrphans = async () => {
+  const olderThan = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+  const orphans = await Upload.findOrphans(olderThan);
+
+  for (const upload of orphans) {
+    await getStorage().delete(upload.storageKey);
+    await upload.deleteOne();
+  }
+
+  return orphans.length;
+};
+
+// Delete a single upload from storage and the database
+const deleteUpload = async (upload) => {
+  await getStorage().delete(upload.storageKey);
+  await upload.deleteOne();
+};
+
+module.exports = {
+  UPLOAD_QUOTA_BYTES,
+  storeUpload,
+  deleteUpload,
+  syncBlogReferences,
+  releaseBlogReferences,
+  syncUserReferences,
+  cleanupOrphans
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Blog = require('../models/Blog');
+const BlogView = require('../models/BlogView');
+const DailyView = require('../models/DailyView');
+const { isBot } = require('../utils/userAgent');
+
+// Secret mixed into anonymous visitor fingerprints so they cannot be reversed to an IP
+const VIEW_FINGERPRINT_SALT = process.env.VIEW_FINGERPRINT_SALT || process.env.JWT_SECRET || '';
+
+// Counter increments waiting to be written: daily counters keyed by "<blogId>:<day>"
+// and blog view totals keyed by blog ID, kept apart so each is retried on its own
+let pendingDaily = new Map();
+let pendingBlogViews = new Map();
+
+// Midnight UTC of the given date
+const startOfDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Identify the visitor: their user ID when signed in, otherwise a salted hash of IP and user agent
+const visitorKey = (req) => {
+  if (req.user) return `u:${req.user._id}`;
+
+  const fingerprint = crypto
+    .createHmac('sha256', VIEW_FINGERPRINT_SALT)
+    .update(`${req.ip}|${req.get('User-Agent') || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  return `a:${fingerprint}`;
+};
+
+// Add daily counter increments to the buffer
+const bufferDaily = (entry) => {
+  const key = `${entry.blog}:${entry.date.getTime()}`;
+  const current = pendingDaily.get(key);
+
+  if (current) {
+    current.views += entry.views;
+    current.pageviews += entry.pageviews;
+  } else {
+    pendingDaily.set(key, { ...entry });
+  }
+};
+
+// Add to a blog's buffered view total
+const bufferBlogViews = (blogId, views) => {
+  pendingBlogViews.set(blogId, (pendingBlogViews.get(blogId) || 0) + views);
+};
+
+// Add to the buffered counters of a blog for today
+const buffer = (blog, unique) => {
+  bufferDaily({
+    blog: blog._id,
+    author: blog.author._id || blog.author,
+    date: startOfDay(),
+    views: unique ? 1 : 0,
+    pageviews: 1
+  });
+
+  if (unique) bufferBlogViews(blog._id.toString(), 1);
+};
+
+// Count a view of a blog, ignoring bots, the author, and repeat visits within the dedupe window
+const recordView = async (req, blog) => {
+  if (isBot(req.get('User-Agent'))) return false;
+  if (req.user && req.user._id.toString() === (blog.author._id || blog.author).toString()) return false;
+
+  let unique = true;
+  try {
+    await BlogView.create({ blog: blog._id, visitorKey: visitorKey(req) });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    unique = false;
+  }
+
+  buffer(blog, unique);
+  return unique;
+};
+
+// Write items in one unordered bulk operation, buffering the ones that failed again.
+// Operations without a write error were applied and must not be counted twice; when
+// the error does not say which failed (e.g. a lost connection) all are retried.
+const writeBulk = async (Model, items, toOperation, rebuffer) => {
+  if (!items.length) return;
+
+  try {
+    await Model.bulkWrite(items.map(toOperation), { ordered: false });
+  } catch (error) {
+    const failed = error.writeErrors ? error.writeErrors.map(writeError => items[writeError.index]) : items;
+    failed.forEach(rebuffer);
+    throw error;
+  }
+};
+
+// Write buffered counters to the database in two bulk operations
+const flush = async () => {
+  if (!pendingDaily.size && !pendingBlogViews.size) return 0;
+
+  const daily = [...pendingDaily.values()];
+  const blogViews = [...pendingBlogViews];
+  pendingDaily = new Map();
+  pendingBlogViews = new Map();
+
+  const results = await Promise.allSettled([
+    writeBulk(Blog, blogViews, ([id, views]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $inc: { views } },
+        // A view is not an edit
+        timestamps: false
+      }
+    }), ([id, views]) => bufferBlogViews(id, views)),
+
+    writeBulk(DailyView, daily, entry => ({
+      updateOne: {
+        filter: { blog: entry.blog, date: entry.date },
+        update: {
+          $inc: { views: entry.views, pageviews: entry.pageviews },
+          $setOnInsert: { author: entry.author }
+        },
+        upsert: true
+      }
+    }), bufferDaily)
+  ]);
+
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) throw failure.reason;
+
+  return daily.length;
+};
+
+module.exports = {
+  visitorKey,
+  recordView,
+  flush,
+  startOfDay
+};
@@ -0,0 +1,26 @@
+// Quote a CSV cell, neutralizing values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from column definitions ({ key, label }) and row objects
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => csvCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  csvCell,
+  toCsv
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Cursors are signed so clients cannot craft arbitrary range queries
+const cursorSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET || '';
+
+const sign = (data) => {
+  return crypto.createHmac('sha256', cursorSecret()).update(data).digest('base64url').slice(0, 22);
+};
+
+// Dates and ObjectIds are tagged so they survive the JSON round trip
+const packValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value;
+};
+
+const unpackValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.d) return new Date(value.d);
+    if (value.o && mongoose.Types.ObjectId.isValid(value.o)) return new mongoose.Types.ObjectId(value.o);
+    return undefined;
+  }
+  return value;
+};
+
+// Encode the position of a document within a sort as an opaque cursor.
+// sort is a list of [field, direction] pairs ending with a unique field (_id).
+const encodeCursor = (doc, sort, sortName) => {
+  const payload = {
+    s: sortName,
+    v: sort.map(([field]) => packValue(doc[field]))
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return `${data}.${sign(data)}`;
+};
+
+// Decode a cursor, returning its sort values or null if it is invalid,
+// tampered with, or was created for a different sort
+const decodeCursor = (cursor, sort, sortName) => {
+  const [data, signature] = String(cursor).split('.');
+  if (!data || !signature) return null;
+
+  const expected = sign(data);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if (payload.s !== sortName || !Array.isArray(payload.v) || payload.v.length !== sort.length) return null;
+
+    const values = payload.v.map(unpackValue);
+    return values.some(value => value === undefined || value === null) ? null : values;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build a filter for documents after (or before) the given sort values
+const cursorFilter = (sort, values, backwards = false) => {
+  return {
+    $or: sort.map(([field, direction], index) => {
+      const clause = {};
+      sort.slice(0, index).forEach(([previous], i) => {
+        clause[previous] = values[i];
+      });
+
+      const ascending = (direction === 1) !== backwards;
+      clause[field] = { [ascending ? '$gt' : '$lt']: values[index] };
+      return clause;
+    })
+  };
+};
+
+// Fetch one page of a query using keyset pagination.
+// Options: sort ([field, direction] pairs), sortName, limit, and either
+// after (cursor for the next page) or before (cursor for the previous page).
+// Returns { docs, nextCursor, prevCursor, hasNext, hasPrev }, or null for an invalid cursor.
+const findPage = async (Model, filter, options, configure = query => query) => {
+  const { sort, sortName, limit, after, before } = options;
+  const cursor = after || before;
+  const backwards = !after && !!before;
+
+  let pageFilter = filter;
+  if (cursor) {
+    const values = decodeCursor(cursor, sort, sortName);
+    if (!values) return null;
+
+    pageFilter = { $and: [filter, cursorFilter(sort, values, backwards)] };
+  }
+
+  const sortSpec = {};
+  sort.forEach(([field, direction]) => {
+    sortSpec[field] = backwards ? -direction : direction;
+  });
+
+  // Fetch one extra document to know whether there is another page
+  const docs = await configure(Model.find(pageFilter))
+    .sort(sortSpec)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  if (backwards) docs.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : !!after;
+
+  return {
+    docs,
+    nextCursor: hasNext && docs.length ? encodeCursor(docs[docs.length - 1], sort, sortName) : null,
+    prevCursor: hasPrev && docs.length ? encodeCursor(docs[0], sort, sortName) : null,
+    hasNext: hasNext && docs.length > 0,
+    hasPrev: hasPrev && docs.length > 0
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  findPage
+};
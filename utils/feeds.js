@@ -0,0 +1,117 @@
+const { blogUrl, authorUrl } = require('./siteUrls');
+const { stripHtml, truncate } = require('./text');
+const { escapeXml } = require('./xml');
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+// Map a blog document to the format-neutral feed item used by the builders
+const toFeedItem = (blog) => {
+  const author = blog.author || {};
+
+  return {
+    id: blogUrl(blog),
+    url: blogUrl(blog),
+    title: blog.title,
+    summary: blog.metaDescription || truncate(stripHtml(blog.description), 300),
+    contentHtml: blog.description,
+    image: blog.image || undefined,
+    published: toDate(blog.publishedAt),
+    updated: toDate(blog.updatedAt || blog.publishedAt),
+    author: {
+      name: author.name || blog.authorName,
+      url: authorUrl(author._id || author)
+    },
+    categories: [blog.category, ...(blog.tags || [])].filter(Boolean)
+  };
+};
+
+// Build an RSS 2.0 document
+const buildRss = (feed) => {
+  const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author.name)}</dc:creator>
+${item.categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+};
+
+// Build an Atom 1.0 document
+const buildAtom = (feed) => {
+  const entries = feed.items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author>
+      <name>${escapeXml(item.author.name)}</name>
+      <uri>${escapeXml(item.author.url)}</uri>
+    </author>
+${item.categories.map(category => `    <category term="${escapeXml(category)}"/>`).join('\n')}
+    <summary type="text">${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${toDate(feed.updated).toISOString()}</updated>
+${entries}
+</feed>
+`;
+};
+
+// Build a JSON Feed 1.1 document
+const buildJsonFeed = (feed) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.contentHtml,
+      summary: item.summary,
+      image: item.image,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author.name, url: item.author.url }],
+      tags: item.categories
+    }))
+  }, null, 2);
+};
+
+const FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  json: { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+module.exports = {
+  FORMATS,
+  toFeedItem
+};
@@ -0,0 +1,21 @@
+// Detect image types from their leading "magic" bytes rather than trusting
+// the client-supplied file name or Content-Type.
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: buf => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extension: 'gif', matches: buf => ['GIF87a', 'GIF89a'].includes(buf.slice(0, 6).toString('ascii')) },
+  { mimeType: 'image/webp', extension: 'webp', matches: buf => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+// Return { mimeType, extension } for a supported image buffer, or null
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const signature = SIGNATURES.find(sig => sig.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+module.exports = {
+  detectImageType
+};
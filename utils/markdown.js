@@ -0,0 +1,31 @@
+const MarkdownIt = require('markdown-it');
+const markdownItFootnote = require('markdown-it-footnote');
+const { stripHtml, truncate } = require('./text');
+
+// Raw HTML inside Markdown is disabled; the rendered output is sanitized on save anyway
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  typographer: true
+}).use(markdownItFootnote);
+
+// Length of the plain-text excerpt shown in listings
+const EXCERPT_LENGTH = parseInt(process.env.EXCERPT_LENGTH) || 300;
+
+// Render Markdown to HTML (fenced code blocks get class="language-xyz")
+const renderMarkdown = (source) => md.render(source || '');
+
+// Build a plain-text excerpt from HTML, leaving out footnote markers and footnotes
+const createExcerpt = (html, maxLength = EXCERPT_LENGTH) => {
+  const body = String(html || '')
+    .replace(/<sup class="footnote-ref">[\s\S]*?<\/sup>/g, '')
+    .replace(/<hr class="footnotes-sep"\s*\/?>/g, '')
+    .replace(/<section class="footnotes">[\s\S]*?<\/section>/g, '');
+
+  return truncate(stripHtml(body), maxLength);
+};
+
+module.exports = {
+  renderMarkdown,
+  createExcerpt
+};
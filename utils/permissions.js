@@ -0,0 +1,35 @@
+// Permissions that can be granted to roles
+const PERMISSIONS = [
+  'blog:feature', // Feature posts
+  'blog:manage', // Edit, publish and delete any post, and manage its collaborators
+  'comment:moderate', // Moderate comments on any post
+  'tag:manage', // Rename, merge and alias tags
+  'category:manage', // Create, edit and delete categories
+  'user:list', // List all users
+  'user:deactivate', // Activate and deactivate users
+  'user:assign-role', // Change users' roles
+  'role:manage', // Create, edit and delete custom roles
+  'audit:view' // Read the audit log
+];
+
+// Roles every installation has; admin always holds every permission
+const BUILT_IN_ROLES = {
+  user: [],
+  moderator: ['comment:moderate'],
+  editor: ['blog:feature', 'blog:manage', 'comment:moderate', 'tag:manage', 'category:manage'],
+  admin: PERMISSIONS
+};
+
+const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+// Check whether granted permissions include every required one
+const hasPermissions = (granted, required) => {
+  return required.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  hasPermissions
+};
@@ -0,0 +1,132 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Parse a comma separated env var into a list
+const listFromEnv = (name) => {
+  return (process.env[name] || '')
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Parse a JSON env var of the form {"tag": ["attr", ...]}
+const attributesFromEnv = (name) => {
+  if (!process.env[name]) return {};
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Invalid JSON in ${name}, ignoring:`, error.message);
+    return {};
+  }
+};
+
+// Merge extra tag -> attribute lists into a base allowlist
+const mergeAttributes = (base, extra) => {
+  const merged = { ...base };
+  Object.entries(extra).forEach(([tag, attributes]) => {
+    merged[tag] = [...new Set([...(merged[tag] || []), ...attributes])];
+  });
+  return merged;
+};
+
+// Rewrite links so they cannot leak the referrer page or pass on ranking
+const transformLink = (tagName, attribs) => {
+  const attributes = { ...attribs, rel: 'noopener nofollow' };
+
+  if (attributes.target && attributes.target !== '_blank') {
+    delete attributes.target;
+  }
+
+  return { tagName, attribs: attributes };
+};
+
+// Element ids in post bodies get this prefix so they cannot clobber globals
+// the page's scripts rely on (e.g. <img id="config">)
+const CONTENT_ID_PREFIX = 'user-content-';
+
+const prefixId = (id) => (id.startsWith(CONTENT_ID_PREFIX) ? id : `${CONTENT_ID_PREFIX}${id}`);
+
+const transformContentIds = (tagName, attribs) => {
+  if (!attribs.id) return { tagName, attribs };
+
+  return { tagName, attribs: { ...attribs, id: prefixId(attribs.id) } };
+};
+
+// Links in post bodies: same-page links (e.g. footnotes) follow the prefixed ids
+const transformContentLink = (tagName, attribs) => {
+  const link = transformLink(tagName, transformContentIds(tagName, attribs).attribs);
+  const { href } = link.attribs;
+
+  if (href && href.length > 1 && href.startsWith('#')) {
+    link.attribs.href = `#${prefixId(href.slice(1))}`;
+  }
+
+  return link;
+};
+
+// Policy for post bodies. Extend with SANITIZE_EXTRA_TAGS ("video,iframe")
+// and SANITIZE_EXTRA_ATTRIBUTES ('{"span": ["style"]}').
+const contentPolicy = () => ({
+  allowedTags: [
+    ...new Set([
+      ...sanitizeHtml.defaults.allowedTags,
+      'img', 'del', 'ins',
+      ...listFromEnv('SANITIZE_EXTRA_TAGS')
+    ])
+  ],
+  allowedAttributes: mergeAttributes({
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    ol: ['start'],
+    '*': ['id']
+  }, attributesFromEnv('SANITIZE_EXTRA_ATTRIBUTES')),
+  allowedClasses: {
+    // Language hints for syntax highlighting, e.g. <code class="language-js">
+    code: ['language-*'],
+    pre: ['language-*'],
+    // Footnotes rendered from Markdown
+    section: ['footnotes'],
+    hr: ['footnotes-sep'],
+    ol: ['footnotes-list'],
+    li: ['footnote-item'],
+    sup: ['footnote-ref'],
+    a: ['footnote-backref']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: transformContentLink,
+    '*': transformContentIds
+  }
+});
+
+// Policy for comments: basic inline formatting and links only
+const commentPolicy = () => ({
+  allowedTags: ['b', 'strong', 'i', 'em', 'code', 'a', 'p', 'br', 'blockquote'],
+  allowedAttributes: {
+    a: ['href', 'rel']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: transformLink
+  }
+});
+
+// Sanitize a post body against the content policy
+const sanitizeContent = (html) => sanitizeHtml(html || '', contentPolicy());
+
+// Sanitize a comment against the comment policy
+const sanitizeComment = (html) => sanitizeHtml(html || '', commentPolicy());
+
+module.exports = {
+  contentPolicy,
+  commentPolicy,
+  sanitizeContent,
+  sanitizeComment
+};
@@ -0,0 +1,56 @@
+const { escapeHtml, truncate } = require('./text');
+
+// Maximum number of terms taken from a search query
+const MAX_TERMS = 10;
+
+// Escape a string for literal use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Extract the positive words of a search query (phrases are split, "-excluded" words dropped)
+const extractTerms = (query) => {
+  const tokens = String(query).match(/"[^"]*"|\S+/g) || [];
+
+  const words = tokens
+    .filter(token => !token.startsWith('-'))
+    .flatMap(token => token.replace(/"/g, '').split(/\s+/))
+    .map(word => word.toLowerCase().replace(/^\W+|\W+$/g, ''))
+    .filter(word => word.length > 1);
+
+  return [...new Set(words)].slice(0, MAX_TERMS);
+};
+
+// Build an HTML-escaped snippet of plain text around the first match, wrapping matches in <mark>
+const highlight = (text, terms, maxLength = 200) => {
+  if (!terms.length) {
+    return escapeHtml(truncate(text, maxLength));
+  }
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const firstMatch = pattern.exec(text);
+
+  // Center the snippet window on the first match
+  let start = 0;
+  if (firstMatch && firstMatch.index > maxLength / 3) {
+    start = text.lastIndexOf(' ', firstMatch.index - Math.floor(maxLength / 3)) + 1;
+  }
+  const end = Math.min(text.length, start + maxLength);
+  const snippet = text.slice(start, end);
+
+  let html = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    html += escapeHtml(snippet.slice(lastIndex, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  html += escapeHtml(snippet.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeRegex,
+  extractTerms,
+  highlight
+};
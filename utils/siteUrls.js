@@ -0,0 +1,26 @@
+// Absolute URLs of public pages on the frontend site and of this API
+
+const siteUrl = () => (process.env.SITE_URL || process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Where this API is served from (feeds link to themselves here), e.g. https://api.example.com
+const apiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+const siteName = () => process.env.SITE_NAME || 'Blog Site';
+
+const blogUrl = (blog) => `${siteUrl()}/blog/${blog.slug}`;
+
+const categoryUrl = (category) => `${siteUrl()}/category/${encodeURIComponent(category)}`;
+
+const tagUrl = (tag) => `${siteUrl()}/tags/${encodeURIComponent(tag)}`;
+
+const authorUrl = (userId) => `${siteUrl()}/author/${userId}`;
+
+module.exports = {
+  siteUrl,
+  apiUrl,
+  siteName,
+  blogUrl,
+  categoryUrl,
+  tagUrl,
+  authorUrl
+};
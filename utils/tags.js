@@ -0,0 +1,23 @@
+// Maximum length of a single tag
+const MAX_TAG_LENGTH = 50;
+
+// Normalize a tag: trimmed, lowercase, single spaces, no leading "#"
+const normalizeTag = (tag) => {
+  return String(tag || '')
+    .replace(/^#+/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_TAG_LENGTH);
+};
+
+// Normalize a list of tags, dropping empties and duplicates
+const normalizeTags = (tags) => {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags
+};
@@ -0,0 +1,55 @@
+// Helpers for turning stored HTML content into plain text
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+// Escape text for safe inclusion in HTML
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Remove HTML tags and collapse whitespace
+const stripHtml = (html) => {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Shorten text to at most maxLength characters, breaking on a word boundary
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+// Estimate reading time of HTML content
+const calculateReadTime = (html) => {
+  const wordsPerMinute = 200;
+  const words = stripHtml(html).split(/\s+/).filter(Boolean).length;
+  const readingTime = Math.max(1, Math.ceil(words / wordsPerMinute));
+  return `${readingTime} min read`;
+};
+
+module.exports = {
+  escapeHtml,
+  stripHtml,
+  truncate,
+  calculateReadTime
+};
@@ -0,0 +1,16 @@
+// Crawlers, link previewers, monitors and HTTP libraries (matched case-insensitively)
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'mediapartners', 'facebookexternalhit', 'embedly',
+  'preview', 'validator', 'monitor', 'pingdom', 'uptime', 'lighthouse', 'headless',
+  'phantomjs', 'curl', 'wget', 'python-requests', 'python-urllib', 'go-http-client',
+  'java/', 'okhttp', 'axios', 'node-fetch', 'httpclient', 'libwww', 'scrapy'
+].join('|'), 'i');
+
+// Check if a user agent looks automated (a missing user agent counts as a bot)
+const isBot = (userAgent) => {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
+
+module.exports = {
+  isBot
+};
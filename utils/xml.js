@@ -0,0 +1,17 @@
+// Characters that are not allowed anywhere in an XML 1.0 document
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+// Escape text for use in XML element content or attribute values
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+module.exports = {
+  escapeXml
+};